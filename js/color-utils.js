@@ -0,0 +1,277 @@
+/*
+===========================================
+COLOR UTILITIES
+===========================================
+
+Shared color math for the customization panel:
+- Parsing and formatting hex / rgb() colors
+- HSL conversion for lightness adjustments
+- WCAG 2.x relative luminance and contrast ratios
+- Finding an accessible variant of a color that fails contrast
+- OKLCH conversion and 50-900 tonal scales
+
+All methods are static and work with '#RRGGBB' strings.
+*/
+
+/* ===========================================
+   COLOR UTILITIES CLASS
+   =========================================== */
+
+class ColorUtils {
+    /* ===========================================
+       PARSING & FORMATTING
+       =========================================== */
+    
+    // Accepts '#RGB', '#RRGGBB' or 'rgb(r, g, b)'; returns { r, g, b } or null
+    static parse(color) {
+        if (typeof color !== 'string') return null;
+        const value = color.trim();
+        
+        let match = value.match(/^#([0-9a-f]{3})$/i);
+        if (match) {
+            const [r, g, b] = match[1].split('').map(digit => parseInt(digit + digit, 16));
+            return { r, g, b };
+        }
+        
+        match = value.match(/^#([0-9a-f]{6})$/i);
+        if (match) {
+            return {
+                r: parseInt(match[1].slice(0, 2), 16),
+                g: parseInt(match[1].slice(2, 4), 16),
+                b: parseInt(match[1].slice(4, 6), 16)
+            };
+        }
+        
+        match = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+        if (match) {
+            return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+        }
+        
+        return null;
+    }
+    
+    static toHex({ r, g, b }) {
+        const channel = (value) => Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0');
+        return `#${channel(r)}${channel(g)}${channel(b)}`.toUpperCase();
+    }
+    
+    /* ===========================================
+       HSL CONVERSION
+       =========================================== */
+    
+    static rgbToHsl({ r, g, b }) {
+        const red = r / 255;
+        const green = g / 255;
+        const blue = b / 255;
+        const max = Math.max(red, green, blue);
+        const min = Math.min(red, green, blue);
+        const lightness = (max + min) / 2;
+        
+        if (max === min) {
+            return { h: 0, s: 0, l: lightness * 100 };
+        }
+        
+        const delta = max - min;
+        const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+        
+        let hue;
+        switch (max) {
+            case red:
+                hue = (green - blue) / delta + (green < blue ? 6 : 0);
+                break;
+            case green:
+                hue = (blue - red) / delta + 2;
+                break;
+            default:
+                hue = (red - green) / delta + 4;
+        }
+        
+        return { h: hue * 60, s: saturation * 100, l: lightness * 100 };
+    }
+    
+    static hslToRgb({ h, s, l }) {
+        const saturation = s / 100;
+        const lightness = l / 100;
+        const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+        const huePrime = (((h % 360) + 360) % 360) / 60;
+        const x = chroma * (1 - Math.abs((huePrime % 2) - 1));
+        
+        let rgb;
+        if (huePrime < 1) rgb = [chroma, x, 0];
+        else if (huePrime < 2) rgb = [x, chroma, 0];
+        else if (huePrime < 3) rgb = [0, chroma, x];
+        else if (huePrime < 4) rgb = [0, x, chroma];
+        else if (huePrime < 5) rgb = [x, 0, chroma];
+        else rgb = [chroma, 0, x];
+        
+        const m = lightness - chroma / 2;
+        return {
+            r: (rgb[0] + m) * 255,
+            g: (rgb[1] + m) * 255,
+            b: (rgb[2] + m) * 255
+        };
+    }
+    
+    /* ===========================================
+       WCAG CONTRAST
+       =========================================== */
+    
+    static relativeLuminance(color) {
+        const rgb = ColorUtils.parse(color);
+        if (!rgb) return null;
+        
+        const linear = (value) => {
+            const channel = value / 255;
+            return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        };
+        
+        return 0.2126 * linear(rgb.r) + 0.7152 * linear(rgb.g) + 0.0722 * linear(rgb.b);
+    }
+    
+    static contrastRatio(colorA, colorB) {
+        const luminanceA = ColorUtils.relativeLuminance(colorA);
+        const luminanceB = ColorUtils.relativeLuminance(colorB);
+        if (luminanceA === null || luminanceB === null) return null;
+        
+        const lighter = Math.max(luminanceA, luminanceB);
+        const darker = Math.min(luminanceA, luminanceB);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+    
+    // WCAG level for normal-size text: 'AAA' (7:1), 'AA' (4.5:1) or 'Fail'
+    static wcagLevel(ratio) {
+        if (ratio >= 7) return 'AAA';
+        if (ratio >= 4.5) return 'AA';
+        return 'Fail';
+    }
+    
+    // Nudges the HSL lightness of `color` until it reaches `targetRatio` against `against`.
+    // Tries the direction that moves away from `against` first, then the other one.
+    static findAccessibleVariant(color, against, targetRatio = 4.5) {
+        const rgb = ColorUtils.parse(color);
+        if (!rgb || ColorUtils.relativeLuminance(against) === null) return null;
+        
+        if (ColorUtils.contrastRatio(color, against) >= targetRatio) {
+            return ColorUtils.toHex(rgb);
+        }
+        
+        const hsl = ColorUtils.rgbToHsl(rgb);
+        const preferDarker = ColorUtils.relativeLuminance(against) > 0.5;
+        const directions = preferDarker ? [-1, 1] : [1, -1];
+        
+        for (const direction of directions) {
+            for (let lightness = hsl.l; lightness >= 0 && lightness <= 100; lightness += direction) {
+                const candidate = ColorUtils.toHex(ColorUtils.hslToRgb({ ...hsl, l: lightness }));
+                if (ColorUtils.contrastRatio(candidate, against) >= targetRatio) {
+                    return candidate;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /* ===========================================
+       OKLCH CONVERSION
+       =========================================== */
+    
+    static toLinear(value) {
+        const channel = value / 255;
+        return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    }
+    
+    static fromLinear(value) {
+        const channel = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return channel * 255;
+    }
+    
+    static rgbToOklch({ r, g, b }) {
+        const red = ColorUtils.toLinear(r);
+        const green = ColorUtils.toLinear(g);
+        const blue = ColorUtils.toLinear(b);
+        
+        const l = Math.cbrt(0.4122214708 * red + 0.5363325363 * green + 0.0514459929 * blue);
+        const m = Math.cbrt(0.2119034982 * red + 0.6806995451 * green + 0.1073969566 * blue);
+        const s = Math.cbrt(0.0883024619 * red + 0.2817188376 * green + 0.6299787005 * blue);
+        
+        const lightness = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+        const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+        const bAxis = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+        
+        const hue = (Math.atan2(bAxis, a) * 180 / Math.PI + 360) % 360;
+        return { l: lightness, c: Math.sqrt(a * a + bAxis * bAxis), h: hue };
+    }
+    
+    // Returns unclamped channels - values outside 0-255 mean "out of sRGB gamut"
+    static oklchToRgb({ l, c, h }) {
+        const hueRadians = h * Math.PI / 180;
+        const a = c * Math.cos(hueRadians);
+        const bAxis = c * Math.sin(hueRadians);
+        
+        const lPrime = Math.pow(l + 0.3963377774 * a + 0.2158037573 * bAxis, 3);
+        const mPrime = Math.pow(l - 0.1055613458 * a - 0.0638541728 * bAxis, 3);
+        const sPrime = Math.pow(l - 0.0894841775 * a - 1.2914855480 * bAxis, 3);
+        
+        return {
+            r: ColorUtils.fromLinear(4.0767416621 * lPrime - 3.3077115913 * mPrime + 0.2309699292 * sPrime),
+            g: ColorUtils.fromLinear(-1.2684380046 * lPrime + 2.6097574011 * mPrime - 0.3413193965 * sPrime),
+            b: ColorUtils.fromLinear(-0.0041960863 * lPrime - 0.7034186147 * mPrime + 1.7076147010 * sPrime)
+        };
+    }
+    
+    // Reduces chroma until the color fits in sRGB, keeping lightness and hue
+    static oklchToHex({ l, c, h }) {
+        const inGamut = ({ r, g, b }) => [r, g, b].every(channel => channel >= -0.5 && channel <= 255.5);
+        
+        let chroma = c;
+        let rgb = ColorUtils.oklchToRgb({ l, c: chroma, h });
+        while (!inGamut(rgb) && chroma > 0) {
+            chroma = Math.max(0, chroma - 0.005);
+            rgb = ColorUtils.oklchToRgb({ l, c: chroma, h });
+        }
+        
+        return ColorUtils.toHex(rgb);
+    }
+    
+    /* ===========================================
+       TONAL SCALES
+       =========================================== */
+    
+    // Builds a 50-900 scale with the hue of `color`; steps get evenly darker in OKLCH
+    // lightness and chroma is eased off towards the very light and very dark ends.
+    static tonalScale(color) {
+        const rgb = ColorUtils.parse(color);
+        if (!rgb) return null;
+        
+        const base = ColorUtils.rgbToOklch(rgb);
+        const scale = {};
+        
+        Object.entries(ColorUtils.TONAL_STEPS).forEach(([step, { lightness, chroma }]) => {
+            scale[step] = ColorUtils.oklchToHex({ l: lightness, c: base.c * chroma, h: base.h });
+        });
+        
+        return scale;
+    }
+}
+
+// Target OKLCH lightness and relative chroma for each tonal step
+ColorUtils.TONAL_STEPS = {
+    50: { lightness: 0.97, chroma: 0.25 },
+    100: { lightness: 0.93, chroma: 0.4 },
+    200: { lightness: 0.87, chroma: 0.6 },
+    300: { lightness: 0.79, chroma: 0.8 },
+    400: { lightness: 0.70, chroma: 0.95 },
+    500: { lightness: 0.61, chroma: 1 },
+    600: { lightness: 0.53, chroma: 1 },
+    700: { lightness: 0.45, chroma: 0.9 },
+    800: { lightness: 0.37, chroma: 0.75 },
+    900: { lightness: 0.29, chroma: 0.6 }
+};
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorUtils;
+}
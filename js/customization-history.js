@@ -0,0 +1,113 @@
+/*
+===========================================
+CUSTOMIZATION UNDO / REDO HISTORY
+===========================================
+
+This file keeps the undo and redo stacks for the customization panel.
+Each entry is a full state snapshot (theme, mode, colors, roundedness)
+taken *before* a change, so undoing simply re-applies that snapshot.
+
+The controller decides what counts as one step - e.g. dragging a color
+picker or the roundedness slider produces many `input` events but is
+recorded once when the gesture starts.
+*/
+
+/* ===========================================
+   CUSTOMIZATION HISTORY CLASS
+   =========================================== */
+
+class CustomizationHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        // Called whenever the stacks change (used to refresh panel buttons)
+        this.onChange = null;
+    }
+    
+    /* ===========================================
+       RECORDING
+       =========================================== */
+    
+    push(state) {
+        const snapshot = this.clone(state);
+        
+        // Identical consecutive snapshots would make undo look broken
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (last && this.isSameState(last, snapshot)) return false;
+        
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        
+        // A new change invalidates anything that was undone
+        this.redoStack = [];
+        this.notify();
+        return true;
+    }
+    
+    /* ===========================================
+       UNDO / REDO
+       =========================================== */
+    
+    // Returns the state to restore, or null if there is nothing to undo
+    undo(currentState) {
+        if (!this.canUndo()) return null;
+        
+        this.redoStack.push(this.clone(currentState));
+        const previous = this.undoStack.pop();
+        this.notify();
+        return previous;
+    }
+    
+    redo(currentState) {
+        if (!this.canRedo()) return null;
+        
+        this.undoStack.push(this.clone(currentState));
+        const next = this.redoStack.pop();
+        this.notify();
+        return next;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+    
+    /* ===========================================
+       UTILITY METHODS
+       =========================================== */
+    
+    clone(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+    
+    isSameState(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    
+    notify() {
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomizationHistory;
+}
@@ -0,0 +1,419 @@
+/*
+===========================================
+CUSTOMIZATION PERSISTENCE
+===========================================
+
+This file saves and restores the customization panel state so that
+theme, colors, roundedness and typography survive page reloads and
+later visits.
+It also encodes that state into shareable links (?design=...).
+
+It is loaded synchronously in the <head> (right after the stylesheets)
+so the saved state is applied before the body is painted - visitors
+never see a flash of the default Classic theme (or of light mode for
+visitors who chose dark mode or whose system prefers it).
+
+STORED STATE SHAPE:
+{
+    theme: 'classic' | 'modern' | 'warm',
+    primary: '#RRGGBB',
+    secondary: '#RRGGBB',
+    accent: '#RRGGBB',
+    roundedness: 0-30,
+    mode: 'light' | 'dark' | 'auto',
+    headingFont: <FONT_STACKS id>,   (omitted = theme default)
+    bodyFont: <FONT_STACKS id>,      (omitted = theme default)
+    fontSize: 14-20,                 (px, base font size)
+    lineHeight: 1.2-2.0
+}
+
+SHARE LINK FORMAT:
+?design=<theme>.<primary>.<secondary>.<accent>.<roundedness>[.<headingFont>.<bodyFont>.<fontSize>.<lineHeight x 10>]
+e.g. ?design=modern.3B82F6.10B981.F3F4F6.12
+     ?design=warm.8B4513.D2691E.F4E4C1.8.old-style.humanist.17.18
+
+Every value is validated on the way in and out; anything malformed
+is dropped and falls back to the defaults in variables.css.
+A design opened from a shared link takes priority over the saved one.
+
+PREVIEW PAGES:
+?preview=1 marks the page as a preview (the panes of the style
+comparison, see theme-comparison.js). Previews apply the shared
+design but never save, and hide the customization panel.
+*/
+
+/* ===========================================
+   CUSTOMIZATION STORAGE CLASS
+   =========================================== */
+
+class CustomizationStorage {
+    constructor() {
+        // localStorage key for the saved customization state
+        this.STORAGE_KEY = 'mylocalbarista_customization';
+        
+        // Available theme stylesheets (css/style-<name>.css)
+        this.THEMES = ['classic', 'modern', 'warm'];
+        
+        // Color modes - 'auto' follows prefers-color-scheme
+        this.COLOR_MODES = ['light', 'dark', 'auto'];
+        this.DEFAULT_COLOR_MODE = 'auto';
+        
+        // Limits of the roundedness slider in the panel
+        this.ROUNDEDNESS_MIN = 0;
+        this.ROUNDEDNESS_MAX = 30;
+        
+        // State keys mapped to the CSS variables they control
+        this.COLOR_VARIABLES = {
+            primary: '--primary-color',
+            secondary: '--secondary-color',
+            accent: '--accent-color'
+        };
+        this.ROUNDEDNESS_VARIABLE = '--border-radius-base';
+        
+        // Curated font stacks for the typography controls. Poppins and
+        // Playfair Display come from the Google Fonts link in index.html;
+        // every other stack only names fonts that ship with common operating
+        // systems, so picking one never downloads anything.
+        this.FONT_STACKS = {
+            poppins: { label: 'Poppins', stack: "'Poppins', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif" },
+            playfair: { label: 'Playfair Display', stack: "'Playfair Display', Georgia, serif" },
+            system: { label: 'System UI', stack: "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif" },
+            humanist: { label: 'Humanist Sans', stack: "Seravek, 'Gill Sans Nova', Ubuntu, Calibri, 'DejaVu Sans', sans-serif" },
+            geometric: { label: 'Geometric Sans', stack: "Avenir, 'Avenir Next LT Pro', Montserrat, Corbel, 'URW Gothic', sans-serif" },
+            transitional: { label: 'Transitional Serif', stack: "Charter, 'Bitstream Charter', 'Sitka Text', Cambria, serif" },
+            'old-style': { label: 'Old Style Serif', stack: "'Iowan Old Style', 'Palatino Linotype', 'URW Palladio L', P052, serif" },
+            didone: { label: 'Didone', stack: "Didot, 'Bodoni MT', 'Noto Serif Display', 'URW Palladio L', P052, Sylfaen, serif" },
+            slab: { label: 'Slab Serif', stack: "Rockwell, 'Rockwell Nova', 'Roboto Slab', 'DejaVu Serif', serif" },
+            mono: { label: 'Monospace', stack: "ui-monospace, 'Cascadia Code', 'Source Code Pro', Menlo, Consolas, 'DejaVu Sans Mono', monospace" }
+        };
+        
+        // Limits of the font size / line-height sliders
+        this.FONT_SIZE_MIN = 14;
+        this.FONT_SIZE_MAX = 20;
+        this.DEFAULT_FONT_SIZE = 16;
+        this.LINE_HEIGHT_MIN = 1.2;
+        this.LINE_HEIGHT_MAX = 2;
+        this.DEFAULT_LINE_HEIGHT = 1.6;
+        
+        // Typography state keys mapped to the CSS variables they control
+        this.TYPOGRAPHY_VARIABLES = {
+            headingFont: '--font-heading',
+            bodyFont: '--font-primary',
+            fontSize: '--font-size-base',
+            lineHeight: '--line-height-base'
+        };
+        
+        // URL query parameter used by shareable links
+        this.SHARE_PARAM = 'design';
+        
+        // URL query parameter that marks a preview page (style comparison panes)
+        this.PREVIEW_PARAM = 'preview';
+    }
+    
+    /* ===========================================
+       LOAD / SAVE
+       =========================================== */
+    
+    load() {
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEY);
+            if (!raw) return null;
+            
+            const state = this.sanitize(JSON.parse(raw));
+            return Object.keys(state).length > 0 ? state : null;
+        } catch (error) {
+            console.warn('⚠️ Could not load saved customization:', error);
+            return null;
+        }
+    }
+    
+    save(state) {
+        // Preview panes show a design, they must not overwrite the visitor's own
+        if (this.isPreview()) return;
+        
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.sanitize(state)));
+        } catch (error) {
+            console.warn('⚠️ Could not save customization:', error);
+        }
+    }
+    
+    clear() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Could not clear saved customization:', error);
+        }
+    }
+    
+    /* ===========================================
+       VALIDATION
+       =========================================== */
+    
+    // Returns a copy of the state containing only the valid values
+    sanitize(state) {
+        const clean = {};
+        if (!state || typeof state !== 'object') return clean;
+        
+        if (this.isValidTheme(state.theme)) {
+            clean.theme = state.theme;
+        }
+        
+        if (this.COLOR_MODES.includes(state.mode)) {
+            clean.mode = state.mode;
+        }
+        
+        Object.keys(this.COLOR_VARIABLES).forEach(key => {
+            if (this.isValidColor(state[key])) {
+                clean[key] = state[key].toUpperCase();
+            }
+        });
+        
+        const roundedness = Number(state.roundedness);
+        if (state.roundedness !== '' && state.roundedness !== null && this.isValidRoundedness(roundedness)) {
+            clean.roundedness = roundedness;
+        }
+        
+        ['headingFont', 'bodyFont'].forEach(key => {
+            if (this.isValidFont(state[key])) {
+                clean[key] = state[key];
+            }
+        });
+        
+        const fontSize = Number(state.fontSize);
+        if (state.fontSize !== '' && state.fontSize !== null && this.isValidFontSize(fontSize)) {
+            clean.fontSize = fontSize;
+        }
+        
+        // Line-height moves in steps of 0.1
+        const lineHeight = Math.round(Number(state.lineHeight) * 10) / 10;
+        if (state.lineHeight !== '' && state.lineHeight !== null && this.isValidLineHeight(lineHeight)) {
+            clean.lineHeight = lineHeight;
+        }
+        
+        return clean;
+    }
+    
+    isValidTheme(theme) {
+        return this.THEMES.includes(theme);
+    }
+    
+    isValidColor(color) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+    }
+    
+    isValidRoundedness(value) {
+        return Number.isInteger(value) && value >= this.ROUNDEDNESS_MIN && value <= this.ROUNDEDNESS_MAX;
+    }
+    
+    isValidFont(id) {
+        return typeof id === 'string' && Object.prototype.hasOwnProperty.call(this.FONT_STACKS, id);
+    }
+    
+    isValidFontSize(value) {
+        return Number.isInteger(value) && value >= this.FONT_SIZE_MIN && value <= this.FONT_SIZE_MAX;
+    }
+    
+    isValidLineHeight(value) {
+        return Number.isFinite(value) && value >= this.LINE_HEIGHT_MIN && value <= this.LINE_HEIGHT_MAX;
+    }
+    
+    /* ===========================================
+       TYPOGRAPHY
+       =========================================== */
+    
+    // CSS value for a typography state key, or null if the value is not set
+    typographyValue(key, value) {
+        if (value === undefined || value === null || value === '') return null;
+        
+        switch (key) {
+            case 'headingFont':
+            case 'bodyFont':
+                return this.FONT_STACKS[value]?.stack || null;
+            case 'fontSize':
+                // rem keeps the visitor's own browser font size setting in play
+                return `${value / this.DEFAULT_FONT_SIZE}rem`;
+            case 'lineHeight':
+                return String(value);
+            default:
+                return null;
+        }
+    }
+    
+    /* ===========================================
+       COLOR MODE
+       =========================================== */
+    
+    // Resolves 'auto' to 'light' or 'dark' using the system preference
+    resolveColorMode(mode) {
+        if (mode === 'light' || mode === 'dark') return mode;
+        
+        const prefersDark = window.matchMedia?.('(prefers-color-scheme: dark)').matches;
+        return prefersDark ? 'dark' : 'light';
+    }
+    
+    applyColorMode(mode) {
+        const resolvedMode = this.resolveColorMode(mode);
+        document.documentElement.dataset.colorMode = resolvedMode;
+        return resolvedMode;
+    }
+    
+    /* ===========================================
+       SHAREABLE LINKS
+       =========================================== */
+    
+    encodeShareValue(state) {
+        const clean = this.sanitize(state);
+        const hex = (color) => (color || '').replace('#', '');
+        
+        const parts = [
+            clean.theme || '',
+            hex(clean.primary),
+            hex(clean.secondary),
+            hex(clean.accent),
+            clean.roundedness ?? ''
+        ];
+        
+        // Typography is only appended when it differs from the defaults, so most links stay short
+        const hasTypography = Boolean(clean.headingFont || clean.bodyFont) ||
+            (clean.fontSize !== undefined && clean.fontSize !== this.DEFAULT_FONT_SIZE) ||
+            (clean.lineHeight !== undefined && clean.lineHeight !== this.DEFAULT_LINE_HEIGHT);
+        if (hasTypography) {
+            parts.push(
+                clean.headingFont || '',
+                clean.bodyFont || '',
+                clean.fontSize ?? '',
+                clean.lineHeight === undefined ? '' : Math.round(clean.lineHeight * 10)
+            );
+        }
+        
+        return parts.join('.');
+    }
+    
+    // Malformed parts are ignored individually; returns null if nothing is usable
+    decodeShareValue(value) {
+        if (typeof value !== 'string' || !value) return null;
+        
+        const [theme, primary, secondary, accent, roundedness, headingFont, bodyFont, fontSize, lineHeight] = value.split('.');
+        const state = this.sanitize({
+            theme,
+            primary: `#${primary}`,
+            secondary: `#${secondary}`,
+            accent: `#${accent}`,
+            roundedness: roundedness === undefined ? '' : roundedness,
+            headingFont,
+            bodyFont,
+            fontSize: fontSize === undefined ? '' : fontSize,
+            lineHeight: lineHeight ? Number(lineHeight) / 10 : ''
+        });
+        
+        return Object.keys(state).length > 0 ? state : null;
+    }
+    
+    buildShareUrl(state) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.searchParams.set(this.SHARE_PARAM, this.encodeShareValue(state));
+        return url.toString();
+    }
+    
+    // Share link that opens the page as a preview (no saving, no panel)
+    buildPreviewUrl(state) {
+        const url = new URL(this.buildShareUrl(state));
+        url.searchParams.set(this.PREVIEW_PARAM, '1');
+        return url.toString();
+    }
+    
+    isPreview() {
+        try {
+            return new URLSearchParams(window.location.search).get(this.PREVIEW_PARAM) === '1';
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    readSharedState() {
+        try {
+            const value = new URLSearchParams(window.location.search).get(this.SHARE_PARAM);
+            return this.decodeShareValue(value);
+        } catch (error) {
+            console.warn('⚠️ Could not read shared design from URL:', error);
+            return null;
+        }
+    }
+    
+    // Drop the share parameter so later reloads use the saved state
+    clearShareParam() {
+        if (this.isPreview()) return;
+        
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has(this.SHARE_PARAM)) return;
+        
+        url.searchParams.delete(this.SHARE_PARAM);
+        history.replaceState(null, '', url.toString());
+    }
+    
+    /* ===========================================
+       EARLY RESTORE (before first paint)
+       =========================================== */
+    
+    applyToDocument(state) {
+        if (!state) return;
+        
+        const root = document.documentElement;
+        
+        Object.entries(this.COLOR_VARIABLES).forEach(([key, variable]) => {
+            if (state[key]) root.style.setProperty(variable, state[key]);
+        });
+        
+        if (state.roundedness !== undefined) {
+            root.style.setProperty(this.ROUNDEDNESS_VARIABLE, `${state.roundedness}px`);
+        }
+        
+        Object.entries(this.TYPOGRAPHY_VARIABLES).forEach(([key, variable]) => {
+            const value = this.typographyValue(key, state[key]);
+            if (value) root.style.setProperty(variable, value);
+        });
+        
+        // Point the theme stylesheet at the saved theme
+        const themeLink = document.getElementById('style-theme');
+        if (state.theme && themeLink) {
+            themeLink.setAttribute('href', `css/style-${state.theme}.css`);
+        }
+    }
+    
+    restore() {
+        const savedState = this.load();
+        const sharedState = this.readSharedState();
+        const state = sharedState ? { ...savedState, ...sharedState } : savedState;
+        
+        // The color mode applies even without saved state ('auto' by default)
+        this.applyColorMode(state?.mode || this.DEFAULT_COLOR_MODE);
+        
+        if (this.isPreview()) {
+            document.documentElement.dataset.preview = 'true';
+        }
+        
+        if (state) {
+            this.applyToDocument(state);
+            console.log(sharedState ? '🔗 Shared design applied:' : '💾 Saved customization restored:', state);
+        }
+        return state;
+    }
+}
+
+/* ===========================================
+   GLOBAL INITIALIZATION
+   =========================================== */
+
+// Restore immediately - this script runs in the <head>, before the body renders
+window.customizationStorage = new CustomizationStorage();
+window.customizationStorage.restore();
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomizationStorage;
+}
@@ -10,6 +10,16 @@ This file handles all the live customization features:
 - Preset color scheme application
 - Panel open/close interactions
 - CSS variable manipulation for real-time updates
+- Saving the current state through customization-storage.js
+- Shareable theme links (copy link / apply from URL)
+- CSS / design-token export and token import (see design-tokens.js)
+- Built-in and user-saved presets (see preset-registry.js)
+- WCAG contrast badges and accessible color suggestions (see color-utils.js)
+- 50-900 tonal scales (--primary-100 etc.) with swatches in the panel
+- Light / dark / auto color mode (auto follows prefers-color-scheme)
+- Undo / redo of customization changes (see customization-history.js)
+- Typography: heading / body font stacks, base font size and line-height
+- Side-by-side style comparison (see theme-comparison.js)
 
 FEATURES:
 - Live preview of all changes
@@ -37,16 +47,79 @@ class CustomizationController {
         this.secondaryColorPicker = document.getElementById('secondary-color');
         this.accentColorPicker = document.getElementById('accent-color');
         this.roundnessSlider = document.getElementById('roundedness-slider');
+        this.colorModeButtons = document.querySelectorAll('[data-color-mode-option]');
+        
+        // Typography controls (font stacks come from customization-storage.js)
+        this.headingFontSelect = document.getElementById('heading-font');
+        this.bodyFontSelect = document.getElementById('body-font');
+        this.fontSizeSlider = document.getElementById('font-size-slider');
+        this.lineHeightSlider = document.getElementById('line-height-slider');
+        this.fontSizeValue = document.getElementById('font-size-value');
+        this.lineHeightValue = document.getElementById('line-height-value');
         
         // Value display elements
         this.colorValues = document.querySelectorAll('.color-value');
         this.sliderValue = document.querySelector('.slider-value');
         
-        // Preset buttons
-        this.presetButtons = document.querySelectorAll('.preset-btn');
+        // Preset buttons (rendered from the preset registry)
+        this.presetContainer = document.getElementById('preset-buttons');
+        this.savePresetBtn = document.getElementById('save-preset');
+        this.presets = typeof PresetRegistry !== 'undefined' ? new PresetRegistry() : null;
+        
+        // Panel action buttons
+        this.resetBtn = document.getElementById('reset-customization');
+        this.copyLinkBtn = document.getElementById('copy-theme-link');
+        this.exportCssBtn = document.getElementById('export-css');
+        this.exportTokensBtn = document.getElementById('export-tokens');
+        this.importTokensBtn = document.getElementById('import-tokens');
+        this.importTokensInput = document.getElementById('import-tokens-file');
+        this.compareBtn = document.getElementById('compare-themes');
+        this.undoBtn = document.getElementById('undo-customization');
+        this.redoBtn = document.getElementById('redo-customization');
+        
+        // Undo / redo history - one step per user action
+        this.history = typeof CustomizationHistory !== 'undefined' ? new CustomizationHistory() : null;
+        this.historyLocked = false;   // true while a step is being applied or restored
+        this.historyGesture = false;  // true while a picker/slider drag is in progress
+        
+        // Persistence layer (loaded in the <head>, see customization-storage.js)
+        this.storage = window.customizationStorage || null;
+        
+        // Export / import of design tokens
+        this.designTokens = typeof DesignTokens !== 'undefined' ? new DesignTokens(this.storage) : null;
+        
+        // Side-by-side comparison of the theme stylesheets
+        this.comparison = typeof ThemeComparison !== 'undefined' ? new ThemeComparison({
+            storage: this.storage,
+            themes: Array.from(this.themeSelector?.options || []).map(option => ({ id: option.value, label: option.textContent })),
+            getState: () => this.getState(),
+            onSelect: (theme) => {
+                this.switchTheme(theme);
+                if (this.themeSelector) this.themeSelector.value = theme;
+            }
+        }) : null;
+        
+        // Tonal scale swatch rows (one per brand color)
+        this.tonalScaleRows = document.querySelectorAll('[data-tonal-scale]');
+        
+        // Contrast badges / fix buttons next to each color picker
+        this.contrastBadges = document.querySelectorAll('[data-contrast-for]');
+        this.contrastFixButtons = document.querySelectorAll('[data-contrast-fix]');
         
-        // Current theme tracking
-        this.currentTheme = 'classic';
+        // Which text color each brand color has to stay readable against.
+        // Primary and secondary carry white button text; the accent is a
+        // background behind the theme's body text.
+        this.CONTRAST_PAIRS = {
+            primary: { against: '--color-white', fallback: '#FFFFFF', description: 'white button text' },
+            secondary: { against: '--color-white', fallback: '#FFFFFF', description: 'white button text' },
+            accent: { against: '--theme-text-primary', fallback: '#111827', description: 'body text' }
+        };
+        this.CONTRAST_TARGET = 4.5; // WCAG AA for normal text
+        
+        // Current theme tracking - the saved theme may already be applied
+        this.currentTheme = this.detectCurrentTheme();
+        this.currentMode = this.storage?.load()?.mode || 'auto';
+        this.colorSchemeQuery = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
         this.isOpen = false;
         
         // Initialize the controller
@@ -60,6 +133,12 @@ class CustomizationController {
     init() {
         console.log('🎨 Initializing Customization Controller...');
         
+        // Render built-in and saved presets
+        this.renderPresets();
+        
+        // Fill the font selects from the curated font stacks
+        this.renderFontOptions();
+        
         // Set up event listeners
         this.setupEventListeners();
         
@@ -69,6 +148,17 @@ class CustomizationController {
         // Update display values
         this.updateDisplayValues();
         
+        // Show the initial contrast results and tonal scales
+        this.updateContrastChecks();
+        this.updateAllTonalScales();
+        
+        // Apply a design opened from a shared link
+        this.applySharedLink();
+        
+        // Enable / disable the undo and redo buttons
+        if (this.history) this.history.onChange = () => this.updateHistoryButtons();
+        this.updateHistoryButtons();
+        
         console.log('✅ Customization Controller initialized successfully');
     }
     
@@ -84,26 +174,107 @@ class CustomizationController {
         // Theme selector
         this.themeSelector?.addEventListener('change', (e) => this.switchTheme(e.target.value));
         
+        // Light / dark / auto mode switch
+        this.colorModeButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setColorMode(btn.dataset.colorModeOption));
+        });
+        
+        // Follow system changes while in auto mode
+        this.colorSchemeQuery?.addEventListener('change', () => {
+            if (this.currentMode === 'auto') this.applyColorMode();
+        });
+        
         // Color picker controls
-        this.primaryColorPicker?.addEventListener('input', (e) => this.updatePrimaryColor(e.target.value));
-        this.secondaryColorPicker?.addEventListener('input', (e) => this.updateSecondaryColor(e.target.value));
-        this.accentColorPicker?.addEventListener('input', (e) => this.updateAccentColor(e.target.value));
+        this.primaryColorPicker?.addEventListener('input', (e) => {
+            this.beginHistoryGesture();
+            this.updatePrimaryColor(e.target.value);
+        });
+        this.secondaryColorPicker?.addEventListener('input', (e) => {
+            this.beginHistoryGesture();
+            this.updateSecondaryColor(e.target.value);
+        });
+        this.accentColorPicker?.addEventListener('input', (e) => {
+            this.beginHistoryGesture();
+            this.updateAccentColor(e.target.value);
+        });
         
         // Roundedness slider
-        this.roundnessSlider?.addEventListener('input', (e) => this.updateRoundedness(e.target.value));
+        this.roundnessSlider?.addEventListener('input', (e) => {
+            this.beginHistoryGesture();
+            this.updateRoundedness(e.target.value);
+        });
+        
+        // Typography controls
+        this.headingFontSelect?.addEventListener('change', (e) => {
+            this.recordHistoryStep();
+            this.updateFont('headingFont', e.target.value);
+        });
+        this.bodyFontSelect?.addEventListener('change', (e) => {
+            this.recordHistoryStep();
+            this.updateFont('bodyFont', e.target.value);
+        });
+        this.fontSizeSlider?.addEventListener('input', (e) => {
+            this.beginHistoryGesture();
+            this.updateFontSize(e.target.value);
+        });
+        this.lineHeightSlider?.addEventListener('input', (e) => {
+            this.beginHistoryGesture();
+            this.updateLineHeight(e.target.value);
+        });
         
-        // Preset color scheme buttons
-        this.presetButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => this.applyPreset(e.target.dataset.preset));
+        // `change` fires once the picker closes / the slider is released - ends the undo step
+        [this.primaryColorPicker, this.secondaryColorPicker, this.accentColorPicker, this.roundnessSlider, this.fontSizeSlider, this.lineHeightSlider].forEach(control => {
+            control?.addEventListener('change', () => this.endHistoryGesture());
+        });
+        
+        // Style comparison overlay
+        this.compareBtn?.addEventListener('click', () => this.comparison?.open());
+        
+        // Undo / redo
+        this.undoBtn?.addEventListener('click', () => this.undo());
+        this.redoBtn?.addEventListener('click', () => this.redo());
+        
+        // Preset color scheme buttons (delegated - the list is re-rendered on change)
+        this.presetContainer?.addEventListener('click', (e) => this.handlePresetClick(e));
+        this.savePresetBtn?.addEventListener('click', () => this.saveCurrentAsPreset());
+        
+        // Reset to defaults
+        this.resetBtn?.addEventListener('click', () => this.resetToDefaults());
+        
+        // Accessible color suggestions
+        this.contrastFixButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.suggestAccessibleColor(btn.dataset.contrastFix));
+        });
+        
+        // Copy shareable link
+        this.copyLinkBtn?.addEventListener('click', () => this.copyShareLink());
+        
+        // Export / import
+        this.exportCssBtn?.addEventListener('click', () => this.exportCSS());
+        this.exportTokensBtn?.addEventListener('click', () => this.exportTokens());
+        this.importTokensBtn?.addEventListener('click', () => this.importTokensInput?.click());
+        this.importTokensInput?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            // Reading the file can fail (moved, deleted, no permission)
+            if (file) {
+                this.importTokens(file).catch(error => {
+                    console.error(`❌ Could not read ${file.name}:`, error);
+                    this.showButtonFeedback(this.importTokensBtn, '<i class="fas fa-exclamation-circle"></i> Invalid File');
+                });
+            }
+            e.target.value = '';
         });
         
         // Keyboard accessibility for panel
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
+            if (e.key === 'Escape' && this.isOpen && !e.defaultPrevented) {
                 this.closePanel();
             }
         });
         
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) for undo / redo
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        
         // Close panel when clicking outside on mobile
         document.addEventListener('click', (e) => {
             if (this.isOpen && window.innerWidth <= 1024) {
@@ -123,6 +294,14 @@ class CustomizationController {
         const root = document.documentElement;
         const computedStyle = getComputedStyle(root);
         
+        // Sync theme selector with the active theme
+        if (this.themeSelector) {
+            this.themeSelector.value = this.currentTheme;
+        }
+        
+        // Sync color mode switch and the <html> attribute
+        this.applyColorMode();
+        
         // Initialize color pickers with current values
         if (this.primaryColorPicker) {
             this.primaryColorPicker.value = this.hexToColor(computedStyle.getPropertyValue('--primary-color').trim());
@@ -142,6 +321,9 @@ class CustomizationController {
             this.roundnessSlider.value = currentRoundness || 8;
         }
         
+        // Font ids can't be read back from the CSS variables, so use the saved state
+        this.syncTypographyControls(this.storage?.load() || {});
+        
         console.log('🔧 Controls initialized with current CSS values');
     }
     
@@ -189,6 +371,10 @@ class CustomizationController {
         
         console.log(`🎭 Switching theme from ${this.currentTheme} to ${newTheme}`);
         
+        // Snapshot now, but only record it once the new theme is in use -
+        // a stylesheet that fails to load leaves nothing to undo
+        const historySnapshot = this.history && !this.historyLocked ? this.getState() : null;
+        
         // Get the current theme link element
         const currentThemeLink = document.getElementById('style-theme');
         if (!currentThemeLink) return;
@@ -207,8 +393,14 @@ class CustomizationController {
         
         // Wait for new theme to load, then remove old theme
         newThemeLink.onload = () => {
+            if (historySnapshot) this.history.push(historySnapshot);
+            
             currentThemeLink.remove();
             this.currentTheme = newTheme;
+            this.saveState();
+            
+            // Text colors differ per theme
+            this.updateContrastChecks();
             
             // Remove transition class after a short delay
             setTimeout(() => {
@@ -223,31 +415,124 @@ class CustomizationController {
             console.error(`❌ Failed to load theme: ${newTheme}`);
             newThemeLink.remove();
             document.body.classList.remove('theme-transitioning');
+            
+            // Keep the selector in sync with the theme still in use
+            if (this.themeSelector) this.themeSelector.value = this.currentTheme;
         };
     }
     
+    /* ===========================================
+       COLOR MODE (LIGHT / DARK / AUTO)
+       =========================================== */
+    
+    setColorMode(mode) {
+        if (!['light', 'dark', 'auto'].includes(mode) || mode === this.currentMode) return;
+        
+        this.recordHistoryStep();
+        this.currentMode = mode;
+        const resolvedMode = this.applyColorMode();
+        this.saveState();
+        
+        console.log(`🌓 Color mode set to ${mode}${mode === 'auto' ? ` (${resolvedMode})` : ''}`);
+    }
+    
+    applyColorMode() {
+        const prefersDark = this.colorSchemeQuery?.matches;
+        const resolvedMode = this.currentMode === 'auto' ? (prefersDark ? 'dark' : 'light') : this.currentMode;
+        
+        document.documentElement.dataset.colorMode = resolvedMode;
+        
+        this.colorModeButtons.forEach(btn => {
+            const isActive = btn.dataset.colorModeOption === this.currentMode;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-checked', String(isActive));
+        });
+        
+        // Text and surface colors change with the mode
+        this.updateContrastChecks();
+        
+        return resolvedMode;
+    }
+    
     /* ===========================================
        COLOR UPDATES
        =========================================== */
     
     updatePrimaryColor(color) {
         this.updateCSSVariable('--primary-color', color);
+        this.updateTonalScale('primary', color);
         this.updateColorDisplay(this.primaryColorPicker, color);
+        this.updateContrastChecks();
+        this.saveState();
         console.log(`🎨 Primary color updated to: ${color}`);
     }
     
     updateSecondaryColor(color) {
         this.updateCSSVariable('--secondary-color', color);
+        this.updateTonalScale('secondary', color);
         this.updateColorDisplay(this.secondaryColorPicker, color);
+        this.updateContrastChecks();
+        this.saveState();
         console.log(`🎨 Secondary color updated to: ${color}`);
     }
     
     updateAccentColor(color) {
         this.updateCSSVariable('--accent-color', color);
+        this.updateTonalScale('accent', color);
         this.updateColorDisplay(this.accentColorPicker, color);
+        this.updateContrastChecks();
+        this.saveState();
         console.log(`🎨 Accent color updated to: ${color}`);
     }
     
+    /* ===========================================
+       TONAL SCALES
+       =========================================== */
+    
+    // Publishes --<key>-50 ... --<key>-900 and refreshes the matching swatches
+    updateTonalScale(key, color) {
+        if (typeof ColorUtils === 'undefined') return null;
+        
+        const scale = ColorUtils.tonalScale(color);
+        if (!scale) return null;
+        
+        Object.entries(scale).forEach(([step, value]) => {
+            this.updateCSSVariable(`--${key}-${step}`, value);
+        });
+        
+        this.renderTonalSwatches(key, scale);
+        return scale;
+    }
+    
+    updateAllTonalScales() {
+        const colors = this.getCurrentColors();
+        ['primary', 'secondary', 'accent'].forEach(key => {
+            if (colors[key]) this.updateTonalScale(key, colors[key]);
+        });
+    }
+    
+    renderTonalSwatches(key, scale) {
+        const row = Array.from(this.tonalScaleRows).find(element => element.dataset.tonalScale === key);
+        if (!row) return;
+        
+        // Build the swatches once, then only recolor them
+        if (row.children.length !== Object.keys(scale).length) {
+            row.innerHTML = '';
+            Object.keys(scale).forEach(step => {
+                const swatch = document.createElement('span');
+                swatch.className = 'tonal-swatch';
+                swatch.dataset.step = step;
+                row.appendChild(swatch);
+            });
+        }
+        
+        Array.from(row.children).forEach(swatch => {
+            const value = scale[swatch.dataset.step];
+            swatch.style.background = value;
+            swatch.title = `--${key}-${swatch.dataset.step}: ${value}`;
+        });
+    }
+    
     /* ===========================================
        ROUNDEDNESS UPDATES
        =========================================== */
@@ -260,9 +545,90 @@ class CustomizationController {
             this.sliderValue.textContent = roundnessValue;
         }
         
+        this.saveState();
         console.log(`📐 Roundedness updated to: ${roundnessValue}`);
     }
     
+    /* ===========================================
+       TYPOGRAPHY
+       =========================================== */
+    
+    renderFontOptions() {
+        const fontStacks = this.storage?.FONT_STACKS;
+        if (!fontStacks) return;
+        
+        [this.headingFontSelect, this.bodyFontSelect].forEach(select => {
+            if (!select) return;
+            
+            select.innerHTML = '';
+            select.appendChild(new Option('Theme default', ''));
+            
+            Object.entries(fontStacks).forEach(([id, font]) => {
+                const option = new Option(font.label, id);
+                option.style.fontFamily = font.stack;
+                select.appendChild(option);
+            });
+        });
+    }
+    
+    // Puts typography values (or the defaults) into the controls without applying them
+    syncTypographyControls(typography) {
+        const storage = this.storage;
+        
+        if (this.headingFontSelect) this.headingFontSelect.value = typography.headingFont || '';
+        if (this.bodyFontSelect) this.bodyFontSelect.value = typography.bodyFont || '';
+        if (this.fontSizeSlider) this.fontSizeSlider.value = typography.fontSize ?? storage?.DEFAULT_FONT_SIZE ?? 16;
+        if (this.lineHeightSlider) this.lineHeightSlider.value = typography.lineHeight ?? storage?.DEFAULT_LINE_HEIGHT ?? 1.6;
+        
+        this.updateTypographyDisplay();
+    }
+    
+    // An empty font id means "use the theme's own font"
+    updateFont(key, fontId) {
+        if (!this.storage) return;
+        
+        const variable = this.storage.TYPOGRAPHY_VARIABLES[key];
+        const stack = this.storage.typographyValue(key, fontId);
+        
+        if (stack) {
+            this.updateCSSVariable(variable, stack);
+        } else {
+            document.documentElement.style.removeProperty(variable);
+        }
+        
+        this.saveState();
+        console.log(`🔤 ${key === 'headingFont' ? 'Heading' : 'Body'} font updated to: ${fontId || 'theme default'}`);
+    }
+    
+    updateFontSize(value) {
+        if (!this.storage) return;
+        
+        this.updateCSSVariable('--font-size-base', this.storage.typographyValue('fontSize', Number(value)));
+        this.updateTypographyDisplay();
+        
+        this.saveState();
+        console.log(`🔠 Base font size updated to: ${value}px`);
+    }
+    
+    updateLineHeight(value) {
+        if (!this.storage) return;
+        
+        this.updateCSSVariable('--line-height-base', this.storage.typographyValue('lineHeight', Number(value)));
+        this.updateTypographyDisplay();
+        
+        this.saveState();
+        console.log(`📏 Line height updated to: ${value}`);
+    }
+    
+    updateTypographyDisplay() {
+        if (this.fontSizeSlider && this.fontSizeValue) {
+            this.fontSizeValue.textContent = `${this.fontSizeSlider.value}px`;
+        }
+        if (this.lineHeightSlider && this.lineHeightValue) {
+            this.lineHeightValue.textContent = Number(this.lineHeightSlider.value).toFixed(1);
+        }
+    }
+    
     /* ===========================================
        PRESET COLOR SCHEMES
        =========================================== */
@@ -270,35 +636,14 @@ class CustomizationController {
     applyPreset(presetName) {
         console.log(`🎯 Applying preset: ${presetName}`);
         
-        const presets = {
-            coffee: {
-                primary: '#8B4513',
-                secondary: '#D2691E',
-                accent: '#F4E4C1'
-            },
-            modern: {
-                primary: '#3B82F6',
-                secondary: '#10B981',
-                accent: '#F3F4F6'
-            },
-            earthy: {
-                primary: '#059669',
-                secondary: '#84CC16',
-                accent: '#ECFDF5'
-            },
-            luxe: {
-                primary: '#D97706',
-                secondary: '#F59E0B',
-                accent: '#FEF3C7'
-            }
-        };
-        
-        const preset = presets[presetName];
+        const preset = this.presets?.get(presetName);
         if (!preset) {
             console.error(`❌ Unknown preset: ${presetName}`);
             return;
         }
         
+        this.recordHistoryStep();
+        
         // Apply all colors from the preset
         this.updatePrimaryColor(preset.primary);
         this.updateSecondaryColor(preset.secondary);
@@ -312,6 +657,10 @@ class CustomizationController {
         // Update display values
         this.updateDisplayValues();
         
+        // Re-check contrast and persist once the pickers hold the preset values
+        this.updateContrastChecks();
+        this.saveState();
+        
         // Add visual feedback
         const presetBtn = document.querySelector(`[data-preset="${presetName}"]`);
         if (presetBtn) {
@@ -324,10 +673,409 @@ class CustomizationController {
         console.log(`✅ Preset ${presetName} applied successfully`);
     }
     
+    renderPresets() {
+        if (!this.presetContainer || !this.presets) return;
+        
+        this.presetContainer.innerHTML = '';
+        
+        this.presets.getAll().forEach(preset => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'preset-btn';
+            button.dataset.preset = preset.id;
+            button.textContent = preset.label;
+            button.style.borderLeft = `4px solid ${preset.primary}`;
+            
+            if (preset.builtIn) {
+                this.presetContainer.appendChild(button);
+                return;
+            }
+            
+            // User presets get their own row with management controls
+            button.classList.add('custom-preset');
+            
+            const item = document.createElement('div');
+            item.className = 'preset-item';
+            item.appendChild(button);
+            
+            const actions = document.createElement('div');
+            actions.className = 'preset-item-actions';
+            [
+                { action: 'up', icon: 'fa-arrow-up', label: `Move ${preset.label} up` },
+                { action: 'down', icon: 'fa-arrow-down', label: `Move ${preset.label} down` },
+                { action: 'rename', icon: 'fa-pen', label: `Rename ${preset.label}` },
+                { action: 'delete', icon: 'fa-trash', label: `Delete ${preset.label}` }
+            ].forEach(({ action, icon, label }) => {
+                const actionBtn = document.createElement('button');
+                actionBtn.type = 'button';
+                actionBtn.dataset.preset = preset.id;
+                actionBtn.dataset.presetAction = action;
+                actionBtn.setAttribute('aria-label', label);
+                actionBtn.innerHTML = `<i class="fas ${icon}"></i>`;
+                actions.appendChild(actionBtn);
+            });
+            item.appendChild(actions);
+            
+            this.presetContainer.appendChild(item);
+        });
+    }
+    
+    handlePresetClick(event) {
+        const target = event.target.closest('[data-preset]');
+        if (!target) return;
+        
+        const presetId = target.dataset.preset;
+        
+        switch (target.dataset.presetAction) {
+            case 'up':
+                this.movePreset(presetId, -1);
+                break;
+            case 'down':
+                this.movePreset(presetId, 1);
+                break;
+            case 'rename':
+                this.renamePreset(presetId);
+                break;
+            case 'delete':
+                this.deletePreset(presetId);
+                break;
+            default:
+                this.applyPreset(presetId);
+        }
+    }
+    
+    saveCurrentAsPreset(name) {
+        if (!this.presets) return null;
+        
+        const label = name ?? window.prompt('Name this color preset:');
+        if (!label || !label.trim()) return null;
+        
+        const preset = this.presets.saveCustom(label, this.getCurrentColors());
+        if (!preset) {
+            console.error('❌ Could not save preset - current colors are invalid');
+            return null;
+        }
+        
+        this.renderPresets();
+        console.log(`💾 Preset saved: ${preset.label}`);
+        return preset;
+    }
+    
+    renamePreset(presetId, name) {
+        const preset = this.presets?.get(presetId);
+        if (!preset || preset.builtIn) return false;
+        
+        const label = name ?? window.prompt('Rename preset:', preset.label);
+        if (!label || !this.presets.rename(presetId, label)) return false;
+        
+        this.renderPresets();
+        console.log(`✏️ Preset renamed to: ${label.trim()}`);
+        return true;
+    }
+    
+    deletePreset(presetId, skipConfirm = false) {
+        const preset = this.presets?.get(presetId);
+        if (!preset || preset.builtIn) return false;
+        
+        if (!skipConfirm && !window.confirm(`Delete the preset "${preset.label}"?`)) return false;
+        
+        this.presets.remove(presetId);
+        this.renderPresets();
+        console.log(`🗑️ Preset deleted: ${preset.label}`);
+        return true;
+    }
+    
+    movePreset(presetId, offset) {
+        if (!this.presets?.move(presetId, offset)) return false;
+        
+        this.renderPresets();
+        return true;
+    }
+    
+    /* ===========================================
+       CONTRAST CHECKS
+       =========================================== */
+    
+    getContrastResults() {
+        if (typeof ColorUtils === 'undefined') return {};
+        
+        const computedStyle = getComputedStyle(document.documentElement);
+        const colors = this.getCurrentColors();
+        const results = {};
+        
+        Object.entries(this.CONTRAST_PAIRS).forEach(([key, pair]) => {
+            const textColor = ColorUtils.parse(computedStyle.getPropertyValue(pair.against))
+                ? computedStyle.getPropertyValue(pair.against).trim()
+                : pair.fallback;
+            const ratio = ColorUtils.contrastRatio(colors[key], textColor);
+            if (ratio === null) return;
+            
+            results[key] = {
+                ratio,
+                level: ColorUtils.wcagLevel(ratio),
+                against: textColor,
+                description: pair.description
+            };
+        });
+        
+        return results;
+    }
+    
+    updateContrastChecks() {
+        const results = this.getContrastResults();
+        
+        this.contrastBadges.forEach(badge => {
+            const result = results[badge.dataset.contrastFor];
+            if (!result) return;
+            
+            badge.textContent = result.level === 'Fail' ? `✕ ${result.ratio.toFixed(1)}` : result.level;
+            badge.dataset.level = result.level.toLowerCase();
+            badge.title = `Contrast ${result.ratio.toFixed(2)}:1 against ${result.description}`;
+        });
+        
+        this.contrastFixButtons.forEach(btn => {
+            const result = results[btn.dataset.contrastFix];
+            btn.hidden = !result || result.ratio >= this.CONTRAST_TARGET;
+        });
+        
+        return results;
+    }
+    
+    suggestAccessibleColor(key) {
+        const result = this.getContrastResults()[key];
+        if (!result) return null;
+        
+        const suggestion = ColorUtils.findAccessibleVariant(this.getCurrentColors()[key], result.against, this.CONTRAST_TARGET);
+        if (!suggestion) {
+            console.warn(`⚠️ No accessible variant found for the ${key} color`);
+            return null;
+        }
+        
+        this.setColors({ [key]: suggestion });
+        console.log(`♿ ${key} color adjusted to ${suggestion} for readable ${result.description}`);
+        return suggestion;
+    }
+    
+    /* ===========================================
+       PERSISTENCE
+       =========================================== */
+    
+    saveState() {
+        this.storage?.save(this.getState());
+    }
+    
+    resetToDefaults() {
+        console.log('↩️ Resetting customization to defaults');
+        
+        this.withHistory(() => {
+            this.storage?.clear();
+            
+            // Drop the inline overrides so variables.css values apply again
+            const root = document.documentElement;
+            ['--primary-color', '--secondary-color', '--accent-color', '--border-radius-base'].forEach(variable => {
+                root.style.removeProperty(variable);
+            });
+            Object.values(this.storage?.TYPOGRAPHY_VARIABLES || {}).forEach(variable => {
+                root.style.removeProperty(variable);
+            });
+            
+            // Re-read the default values into the controls
+            this.initializeControls();
+            this.updateDisplayValues();
+            this.updateAllTonalScales();
+            this.updateContrastChecks();
+            
+            this.switchTheme('classic');
+            if (this.themeSelector) this.themeSelector.value = 'classic';
+            
+            this.currentMode = 'auto';
+            this.applyColorMode();
+        });
+        
+        console.log('✅ Customization reset to defaults');
+    }
+    
+    /* ===========================================
+       UNDO / REDO
+       =========================================== */
+    
+    // Snapshot the current state before a change is applied
+    recordHistoryStep() {
+        if (!this.history || this.historyLocked) return;
+        this.history.push(this.getState());
+    }
+    
+    // Runs `action` as a single undo step, even if it touches several controls
+    withHistory(action) {
+        this.recordHistoryStep();
+        
+        const wasLocked = this.historyLocked;
+        this.historyLocked = true;
+        try {
+            action();
+        } finally {
+            this.historyLocked = wasLocked;
+        }
+    }
+    
+    // Pickers and the slider fire `input` continuously - record only the first one
+    beginHistoryGesture() {
+        if (this.historyGesture) return;
+        
+        this.recordHistoryStep();
+        this.historyGesture = true;
+    }
+    
+    endHistoryGesture() {
+        this.historyGesture = false;
+    }
+    
+    undo() {
+        if (!this.history?.canUndo()) return;
+        
+        this.restoreHistorySnapshot(this.history.undo(this.getState()));
+        console.log('↶ Customization change undone');
+    }
+    
+    redo() {
+        if (!this.history?.canRedo()) return;
+        
+        this.restoreHistorySnapshot(this.history.redo(this.getState()));
+        console.log('↷ Customization change redone');
+    }
+    
+    restoreHistorySnapshot(state) {
+        if (!state) return;
+        
+        this.historyLocked = true;
+        try {
+            this.applyState(state);
+        } finally {
+            this.historyLocked = false;
+        }
+    }
+    
+    updateHistoryButtons() {
+        if (this.undoBtn) this.undoBtn.disabled = !this.history?.canUndo();
+        if (this.redoBtn) this.redoBtn.disabled = !this.history?.canRedo();
+    }
+    
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        // Leave native undo alone while the user is typing
+        const target = e.target;
+        const isTyping = target instanceof HTMLElement && (
+            target.isContentEditable ||
+            target.tagName === 'TEXTAREA' ||
+            target.tagName === 'SELECT' ||
+            (target.tagName === 'INPUT' && !['color', 'range', 'button', 'checkbox', 'radio'].includes(target.type))
+        );
+        if (isTyping) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+    
+    /* ===========================================
+       SHAREABLE LINKS
+       =========================================== */
+    
+    getShareLink() {
+        return this.storage?.buildShareUrl(this.getState()) || window.location.href;
+    }
+    
+    async copyShareLink() {
+        const link = this.getShareLink();
+        
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showButtonFeedback(this.copyLinkBtn, '<i class="fas fa-check"></i> Link Copied!');
+            console.log(`🔗 Share link copied: ${link}`);
+        } catch (error) {
+            // Clipboard API unavailable (e.g. file:// or older browsers)
+            console.warn('⚠️ Clipboard unavailable, showing link instead:', error);
+            window.prompt('Copy this link to share your design:', link);
+        }
+        
+        return link;
+    }
+    
+    applySharedLink() {
+        const sharedState = this.storage?.readSharedState();
+        if (!sharedState) return;
+        
+        console.log('🔗 Applying shared design from URL:', sharedState);
+        this.applyState(sharedState);
+        
+        // Keep the design, but let later reloads use the saved state
+        this.storage.clearShareParam();
+    }
+    
+    /* ===========================================
+       EXPORT / IMPORT
+       =========================================== */
+    
+    exportCSS() {
+        if (!this.designTokens) return;
+        
+        this.designTokens.download('mylocalbarista-theme.css', this.designTokens.toCSS(this.getState()), 'text/css');
+        console.log('📦 Exported design as CSS');
+    }
+    
+    exportTokens() {
+        if (!this.designTokens) return;
+        
+        this.designTokens.download('mylocalbarista-tokens.json', this.designTokens.toTokensJSON(this.getState()), 'application/json');
+        console.log('📦 Exported design tokens as JSON');
+    }
+    
+    async importTokens(file) {
+        if (!this.designTokens) return null;
+        
+        const state = this.designTokens.fromTokensJSON(await file.text());
+        
+        if (!state) {
+            console.error(`❌ No usable design tokens found in ${file.name}`);
+            this.showButtonFeedback(this.importTokensBtn, '<i class="fas fa-exclamation-circle"></i> Invalid File');
+            return null;
+        }
+        
+        this.applyState(state);
+        this.showButtonFeedback(this.importTokensBtn, '<i class="fas fa-check"></i> Imported!');
+        console.log(`✅ Design tokens imported from ${file.name}`, state);
+        
+        return state;
+    }
+    
+    detectCurrentTheme() {
+        const themeHref = document.getElementById('style-theme')?.getAttribute('href') || '';
+        return themeHref.match(/style-(\w+)\.css/)?.[1] || 'classic';
+    }
+    
     /* ===========================================
        UTILITY METHODS
        =========================================== */
     
+    showButtonFeedback(button, html, duration = 2000) {
+        if (!button) return;
+        
+        const originalHtml = button.dataset.originalHtml || button.innerHTML;
+        button.dataset.originalHtml = originalHtml;
+        button.innerHTML = html;
+        
+        clearTimeout(button.feedbackTimeout);
+        button.feedbackTimeout = setTimeout(() => {
+            button.innerHTML = originalHtml;
+        }, duration);
+    }
+    
     updateCSSVariable(variableName, value) {
         document.documentElement.style.setProperty(variableName, value);
     }
@@ -385,20 +1133,90 @@ class CustomizationController {
         };
     }
     
+    // Method to get the current typography ('' font = theme default)
+    getCurrentTypography() {
+        return {
+            headingFont: this.headingFontSelect?.value || '',
+            bodyFont: this.bodyFontSelect?.value || '',
+            fontSize: this.fontSizeSlider ? Number(this.fontSizeSlider.value) : undefined,
+            lineHeight: this.lineHeightSlider ? Number(this.lineHeightSlider.value) : undefined
+        };
+    }
+    
+    // Method to get the full customization state (theme and typography included)
+    getState() {
+        return {
+            theme: this.currentTheme,
+            mode: this.currentMode,
+            ...this.getCurrentColors(),
+            ...this.getCurrentTypography()
+        };
+    }
+    
     // Method to set colors programmatically
     setColors(colors) {
+        this.recordHistoryStep();
+        
+        // Roundedness may legitimately be 0, so check for presence rather than truthiness
+        const hasRoundedness = colors.roundedness !== undefined && colors.roundedness !== null && colors.roundedness !== '';
+        
         if (colors.primary) this.updatePrimaryColor(colors.primary);
         if (colors.secondary) this.updateSecondaryColor(colors.secondary);
         if (colors.accent) this.updateAccentColor(colors.accent);
-        if (colors.roundedness) this.updateRoundedness(colors.roundedness);
+        if (hasRoundedness) this.updateRoundedness(colors.roundedness);
         
         // Update picker values
         if (colors.primary && this.primaryColorPicker) this.primaryColorPicker.value = colors.primary;
         if (colors.secondary && this.secondaryColorPicker) this.secondaryColorPicker.value = colors.secondary;
         if (colors.accent && this.accentColorPicker) this.accentColorPicker.value = colors.accent;
-        if (colors.roundedness && this.roundnessSlider) this.roundnessSlider.value = colors.roundedness;
+        if (hasRoundedness && this.roundnessSlider) this.roundnessSlider.value = colors.roundedness;
         
         this.updateDisplayValues();
+        this.updateContrastChecks();
+        this.saveState();
+    }
+    
+    // Method to set typography programmatically - keys that are missing are left alone
+    setTypography(typography) {
+        this.recordHistoryStep();
+        
+        ['headingFont', 'bodyFont'].forEach(key => {
+            if (typography[key] === undefined || typography[key] === null) return;
+            
+            const select = key === 'headingFont' ? this.headingFontSelect : this.bodyFontSelect;
+            if (select) select.value = typography[key];
+            this.updateFont(key, typography[key]);
+        });
+        
+        if (typography.fontSize !== undefined && typography.fontSize !== null && typography.fontSize !== '') {
+            if (this.fontSizeSlider) this.fontSizeSlider.value = typography.fontSize;
+            this.updateFontSize(typography.fontSize);
+        }
+        
+        if (typography.lineHeight !== undefined && typography.lineHeight !== null && typography.lineHeight !== '') {
+            if (this.lineHeightSlider) this.lineHeightSlider.value = typography.lineHeight;
+            this.updateLineHeight(typography.lineHeight);
+        }
+    }
+    
+    // Method to apply a full state (theme + colors + typography), e.g. from a shared link
+    applyState(state) {
+        if (!state) return;
+        
+        // One undo step for the whole state, not one per part
+        this.withHistory(() => {
+            this.setColors(state);
+            this.setTypography(state);
+            
+            if (state.theme) {
+                this.switchTheme(state.theme);
+                if (this.themeSelector) this.themeSelector.value = state.theme;
+            }
+            
+            if (state.mode) {
+                this.setColorMode(state.mode);
+            }
+        });
     }
 }
 
@@ -0,0 +1,199 @@
+/*
+===========================================
+DESIGN TOKEN EXPORT / IMPORT
+===========================================
+
+This file converts the customization panel state into files that can
+be handed to developers, and reads them back in:
+- A standalone CSS file with a :root { ... } block
+- A JSON design-token file (W3C Design Tokens Community Group format)
+
+EXPORTED TOKENS:
+- color.primary / color.secondary / color.accent  ($type: color)
+- border-radius.base                              ($type: dimension)
+- font.heading / font.body                        ($type: fontFamily)
+- font-size.base                                  ($type: dimension)
+- line-height.base                                ($type: number)
+- The selected theme stylesheet is recorded under
+  $extensions["com.mylocalbarista"] since it is not a design token itself,
+  together with the font stack ids so an import can pick the same stacks
+
+Imported files are validated with CustomizationStorage.sanitize(),
+so anything malformed is ignored rather than applied.
+*/
+
+/* ===========================================
+   DESIGN TOKENS CLASS
+   =========================================== */
+
+class DesignTokens {
+    constructor(storage) {
+        // Used to validate imported values (see customization-storage.js)
+        this.storage = storage || null;
+        
+        // Namespace for non-token data inside the JSON file
+        this.EXTENSION_KEY = 'com.mylocalbarista';
+    }
+    
+    /* ===========================================
+       EXPORT
+       =========================================== */
+    
+    toCSS(state) {
+        const theme = state.theme || 'classic';
+        
+        return [
+            '/* MyLocalBarista design export */',
+            `/* Theme stylesheet: css/style-${theme}.css */`,
+            '',
+            ':root {',
+            `    --primary-color: ${state.primary};`,
+            `    --secondary-color: ${state.secondary};`,
+            `    --accent-color: ${state.accent};`,
+            `    --border-radius-base: ${state.roundedness}px;`,
+            ...this.typographyDeclarations(state),
+            '}',
+            ''
+        ].join('\n');
+    }
+    
+    // CSS declarations for the typography values that are set
+    typographyDeclarations(state) {
+        if (!this.storage) return [];
+        
+        return Object.entries(this.storage.TYPOGRAPHY_VARIABLES)
+            .map(([key, variable]) => [variable, this.storage.typographyValue(key, state[key])])
+            .filter(([, value]) => value)
+            .map(([variable, value]) => `    ${variable}: ${value};`);
+    }
+    
+    toTokens(state) {
+        const theme = state.theme || 'classic';
+        
+        return {
+            color: {
+                primary: { $type: 'color', $value: state.primary, $description: 'Main brand color (--primary-color)' },
+                secondary: { $type: 'color', $value: state.secondary, $description: 'Secondary actions (--secondary-color)' },
+                accent: { $type: 'color', $value: state.accent, $description: 'Accent highlights (--accent-color)' }
+            },
+            'border-radius': {
+                base: { $type: 'dimension', $value: `${state.roundedness}px`, $description: 'Base roundedness (--border-radius-base)' }
+            },
+            ...this.typographyTokens(state),
+            $extensions: {
+                [this.EXTENSION_KEY]: {
+                    theme,
+                    stylesheet: `css/style-${theme}.css`,
+                    headingFont: state.headingFont || undefined,
+                    bodyFont: state.bodyFont || undefined
+                }
+            }
+        };
+    }
+    
+    typographyTokens(state) {
+        const tokens = {};
+        const fontStacks = this.storage?.FONT_STACKS || {};
+        
+        // fontFamily tokens hold the stack as an array of family names
+        const family = (id) => fontStacks[id]?.stack.split(',').map(name => name.trim().replace(/^'|'$/g, ''));
+        
+        if (fontStacks[state.headingFont] || fontStacks[state.bodyFont]) {
+            tokens.font = {};
+            if (fontStacks[state.headingFont]) {
+                tokens.font.heading = { $type: 'fontFamily', $value: family(state.headingFont), $description: 'Heading font (--font-heading)' };
+            }
+            if (fontStacks[state.bodyFont]) {
+                tokens.font.body = { $type: 'fontFamily', $value: family(state.bodyFont), $description: 'Body font (--font-primary)' };
+            }
+        }
+        
+        if (state.fontSize !== undefined && state.fontSize !== '') {
+            tokens['font-size'] = {
+                base: { $type: 'dimension', $value: `${state.fontSize}px`, $description: 'Base font size (--font-size-base)' }
+            };
+        }
+        
+        if (state.lineHeight !== undefined && state.lineHeight !== '') {
+            tokens['line-height'] = {
+                base: { $type: 'number', $value: Number(state.lineHeight), $description: 'Body line-height (--line-height-base)' }
+            };
+        }
+        
+        return tokens;
+    }
+    
+    toTokensJSON(state) {
+        return JSON.stringify(this.toTokens(state), null, 2);
+    }
+    
+    /* ===========================================
+       IMPORT
+       =========================================== */
+    
+    // Returns a validated state object, or null if the file holds nothing usable
+    fromTokens(tokens) {
+        if (!tokens || typeof tokens !== 'object') return null;
+        
+        const extension = tokens.$extensions?.[this.EXTENSION_KEY] || {};
+        const state = {
+            theme: extension.theme,
+            primary: tokens.color?.primary?.$value,
+            secondary: tokens.color?.secondary?.$value,
+            accent: tokens.color?.accent?.$value,
+            roundedness: this.parseDimension(tokens['border-radius']?.base?.$value),
+            headingFont: extension.headingFont,
+            bodyFont: extension.bodyFont,
+            fontSize: this.parseDimension(tokens['font-size']?.base?.$value),
+            lineHeight: tokens['line-height']?.base?.$value ?? ''
+        };
+        
+        const clean = this.storage ? this.storage.sanitize(state) : state;
+        return Object.keys(clean).length > 0 ? clean : null;
+    }
+    
+    fromTokensJSON(text) {
+        try {
+            return this.fromTokens(JSON.parse(text));
+        } catch (error) {
+            console.warn('⚠️ Could not parse design token file:', error);
+            return null;
+        }
+    }
+    
+    // Accepts "8px", 8, or the newer { value: 8, unit: 'px' } dimension form
+    parseDimension(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return value.unit === 'px' ? value.value : '';
+        
+        const match = String(value).trim().match(/^(\d+)(px)?$/);
+        return match ? Number(match[1]) : '';
+    }
+    
+    /* ===========================================
+       FILE HELPERS
+       =========================================== */
+    
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DesignTokens;
+}
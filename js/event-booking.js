@@ -0,0 +1,397 @@
+/*
+===========================================
+EVENT BOOKING REQUESTS
+===========================================
+
+Handles the "Book a Barista for Your Event" form:
+- Collects date, start time, duration, guest count, drinks menu and
+  the event's ZIP code
+- Shows an instant price estimate as the visitor fills it in
+  (see event-pricing.js for the pricing table)
+- Requires the date to be at least minLeadDays in the future
+- Sends the request through the waitlist's submission backend, so it
+  arrives wherever the waitlist signups go (and is queued offline too)
+
+Requests are marked submission_type: 'event-request'. The details are
+also summarized in `comments`, so they show up in a Google Form that
+only has the waitlist questions.
+*/
+
+/* ===========================================
+   EVENT BOOKING CLASS
+   =========================================== */
+
+class EventBookingForm {
+    constructor(options = {}) {
+        // Form elements (markup lives in index.html)
+        this.form = document.getElementById('event-form');
+        this.submitBtn = this.form?.querySelector('button[type="submit"]');
+        
+        this.fields = {
+            name: document.getElementById('event-name'),
+            email: document.getElementById('event-email'),
+            date: document.getElementById('event-request-date'),
+            startTime: document.getElementById('event-start-time'),
+            duration: document.getElementById('event-duration'),
+            guests: document.getElementById('event-guests'),
+            menu: document.getElementById('event-menu'),
+            zip: document.getElementById('event-zip'),
+            notes: document.getElementById('event-notes')
+        };
+        
+        // Estimate panel
+        this.estimateLines = document.getElementById('event-estimate-lines');
+        this.estimateTotal = document.getElementById('event-estimate-total');
+        this.estimateNote = document.getElementById('event-estimate-note');
+        
+        // Waitlist handler - provides the submission backend, outbox and messages
+        this.handler = options.handler || window.waitlistFormHandler || null;
+        
+        this.pricing = options.pricing || new EventPricing(window.MYLOCALBARISTA_EVENT_PRICING, {
+            serviceArea: this.handler?.serviceArea || null
+        });
+        
+        this.isSubmitting = false;
+        this.originalButtonText = this.submitBtn?.innerHTML || '';
+        
+        this.init();
+    }
+    
+    /* ===========================================
+       INITIALIZATION
+       =========================================== */
+    
+    init() {
+        if (!this.form) return;
+        
+        this.renderOptions();
+        this.updateDateLimit();
+        this.setupEventListeners();
+        this.updateEstimate();
+        
+        console.log('🎉 Event booking form initialized');
+    }
+    
+    // Duration and menu choices come from the pricing table
+    renderOptions() {
+        this.pricing.getDurations().forEach(hours => {
+            this.fields.duration?.appendChild(new Option(`${hours} hours`, String(hours)));
+        });
+        
+        this.pricing.getMenus().forEach(menu => {
+            const surcharge = menu.perGuest > 0 ? ` (+${this.pricing.format(menu.perGuest)} per guest)` : ' (included)';
+            this.fields.menu?.appendChild(new Option(`${menu.label}${surcharge}`, menu.id));
+        });
+    }
+    
+    // Lets the native date picker grey out days that are too soon
+    updateDateLimit() {
+        if (this.fields.date) {
+            this.fields.date.min = this.toDateValue(this.pricing.getEarliestDate());
+        }
+    }
+    
+    /* ===========================================
+       EVENT LISTENERS SETUP
+       =========================================== */
+    
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        // Any change can move the price
+        this.form.addEventListener('input', () => this.updateEstimate());
+        this.form.addEventListener('change', () => this.updateEstimate());
+        
+        Object.values(this.fields).forEach(field => {
+            if (!field) return;
+            field.addEventListener('blur', () => this.validateField(field));
+            field.addEventListener('input', () => this.handler?.clearFieldError(field));
+        });
+    }
+    
+    /* ===========================================
+       VALIDATION
+       =========================================== */
+    
+    validateField(field) {
+        if (!field || !this.handler) return true;
+        
+        const value = field.value.trim();
+        let errorMessage = '';
+        
+        if (field.hasAttribute('required') && !value) {
+            errorMessage = 'This field is required';
+        } else if (value && field === this.fields.email && !this.handler.isValidEmail(value)) {
+            errorMessage = 'Please enter a valid email address';
+        } else if (value && field === this.fields.name && value.length < 2) {
+            errorMessage = 'Name must be at least 2 characters long';
+        } else if (value && field === this.fields.date) {
+            errorMessage = this.validateDate(value);
+        } else if (value && field === this.fields.guests && !this.handler.isValidWholeNumber(value, field.min, field.max)) {
+            errorMessage = `Please enter between ${field.min} and ${field.max} guests`;
+        } else if (value && field === this.fields.zip) {
+            // Events are only booked in our (US) service areas
+            const postalCode = this.handler.validatePostalCode(value, 'US');
+            if (postalCode.valid) {
+                field.value = postalCode.normalized;
+            } else {
+                errorMessage = postalCode.message;
+            }
+        }
+        
+        if (errorMessage) {
+            this.handler.showFieldError(field, errorMessage);
+            return false;
+        }
+        
+        this.handler.clearFieldError(field);
+        return true;
+    }
+    
+    // Returns an error message, or '' when the date is far enough out
+    validateDate(value) {
+        if (this.handler.isPastDate(value)) {
+            return 'Please choose a date in the future';
+        }
+        
+        const earliest = this.pricing.getEarliestDate();
+        if (new Date(`${value}T00:00:00`) < earliest) {
+            const days = this.pricing.table.minLeadDays;
+            return `Events need at least ${days} days' notice - please choose ${earliest.toLocaleDateString()} or later`;
+        }
+        
+        return '';
+    }
+    
+    validateForm() {
+        // Validate every field so all errors show at once, then focus the first
+        const results = Object.values(this.fields).map(field => this.validateField(field));
+        this.form.querySelector('.error')?.focus();
+        return results.every(Boolean);
+    }
+    
+    /* ===========================================
+       ESTIMATE
+       =========================================== */
+    
+    getEstimate() {
+        const zip = this.fields.zip?.value.trim() || '';
+        
+        return this.pricing.estimate({
+            guests: this.fields.guests?.value,
+            hours: this.fields.duration?.value,
+            menu: this.fields.menu?.value,
+            zip: this.handler?.validatePostalCode(zip, 'US').valid ? zip : ''
+        });
+    }
+    
+    updateEstimate() {
+        if (!this.estimateLines) return;
+        
+        const estimate = this.getEstimate();
+        this.estimateLines.innerHTML = '';
+        
+        if (!estimate) {
+            this.estimateTotal.textContent = '-';
+            this.estimateNote.textContent = 'Add the guest count, duration and drinks menu to see a price.';
+            return;
+        }
+        
+        estimate.lines.forEach(line => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const amount = document.createElement('span');
+            
+            label.textContent = line.label;
+            amount.textContent = line.amount === 0 ? 'Included' : this.pricing.format(line.amount);
+            
+            item.append(label, amount);
+            this.estimateLines.appendChild(item);
+        });
+        
+        this.estimateTotal.textContent = this.pricing.format(estimate.total);
+        this.estimateNote.textContent = this.getEstimateNote(estimate);
+    }
+    
+    getEstimateNote(estimate) {
+        if (!estimate.travel) {
+            return 'Add the event ZIP code to include travel. Final price confirmed after we review your request.';
+        }
+        if (!estimate.includesTravel) {
+            return 'Travel to this location is quoted separately. Final price confirmed after we review your request.';
+        }
+        return 'Final price confirmed after we review your request.';
+    }
+    
+    /* ===========================================
+       FORM SUBMISSION
+       =========================================== */
+    
+    async handleSubmit(event) {
+        event.preventDefault();
+        
+        if (this.isSubmitting) return;
+        this.clearError();
+        
+        if (!this.validateForm()) {
+            console.log('❌ Event request validation failed');
+            return;
+        }
+        
+        if (!this.handler) {
+            this.showError('Sorry, event requests are unavailable right now. Please try again later.');
+            return;
+        }
+        
+        const formData = this.collectFormData();
+        this.setSubmittingState(true);
+        
+        try {
+            const result = await this.handler.submitFormData(formData);
+            
+            if (result.success) {
+                this.showSuccessMessage(formData);
+                this.resetForm();
+                console.log(`✅ Event request sent (${result.adapter}, ${result.delivery})`);
+            } else if (this.handler.outbox?.shouldQueue(result)) {
+                this.handler.outbox.enqueue(formData, result.error);
+                this.handler.showQueuedMessage();
+                this.resetForm();
+                console.log('📮 Event request saved to the outbox, will retry automatically');
+            } else {
+                console.error('❌ Event request error:', result.error);
+                this.showError('Sorry, there was an error sending your request. Please try again in a moment.');
+            }
+        } finally {
+            this.setSubmittingState(false);
+        }
+    }
+    
+    collectFormData() {
+        const estimate = this.getEstimate();
+        const menuLabel = this.pricing.table.menus[this.fields.menu.value]?.label || '';
+        const notes = this.fields.notes?.value.trim() || '';
+        
+        const formData = {
+            name: this.fields.name.value.trim(),
+            email: this.fields.email.value.trim(),
+            country: 'US',
+            zip: this.fields.zip.value.trim(),
+            interest: 'Events - Barista for gatherings',
+            espresso_machine: '',
+            event_date: this.fields.date.value,
+            event_start_time: this.fields.startTime.value,
+            event_duration_hours: this.fields.duration.value,
+            guest_count: this.fields.guests.value,
+            drinks_menu: menuLabel,
+            estimate_total: estimate ? estimate.total : '',
+            estimate_includes_travel: estimate ? estimate.includesTravel : false,
+            event_notes: notes,
+            submission_type: 'event-request',
+            timestamp: new Date().toISOString(),
+            source: 'MyLocalBarista Event Request'
+        };
+        
+        const travel = estimate?.includesTravel ? '' : ' + travel';
+        const summary = [
+            `EVENT REQUEST: ${formData.event_date} at ${formData.event_start_time}`,
+            `${formData.event_duration_hours} h, ${formData.guest_count} guests, ${menuLabel}`,
+            `estimate ${estimate ? this.pricing.format(estimate.total) : 'n/a'}${travel}`
+        ].join(' | ');
+        
+        // Google Forms only has a comments field for all of this
+        formData.comments = notes ? `${summary}\n${notes}` : summary;
+        return formData;
+    }
+    
+    resetForm() {
+        this.form.reset();
+        this.form.querySelectorAll('.field-error').forEach(error => error.remove());
+        this.form.querySelectorAll('.error').forEach(field => {
+            field.classList.remove('error');
+            field.style.borderColor = '';
+        });
+        this.updateEstimate();
+    }
+    
+    /* ===========================================
+       UI STATE MANAGEMENT
+       =========================================== */
+    
+    setSubmittingState(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        if (!this.submitBtn) return;
+        
+        this.submitBtn.disabled = isSubmitting;
+        this.submitBtn.innerHTML = isSubmitting
+            ? '<i class="fas fa-spinner fa-spin"></i> Sending Request...'
+            : this.originalButtonText;
+    }
+    
+    showSuccessMessage(formData) {
+        const date = new Date(`${formData.event_date}T00:00:00`).toLocaleDateString();
+        
+        this.handler.showOverlayMessage({
+            icon: 'fa-calendar-check',
+            title: 'Event Request Sent!',
+            message: `Thanks! We've received your request for ${date} and will confirm availability and the final price within two business days.`,
+            buttonIcon: 'fa-thumbs-up',
+            buttonText: 'Great!'
+        });
+    }
+    
+    showError(message) {
+        this.clearError();
+        
+        const errorElement = document.createElement('div');
+        errorElement.className = 'general-error';
+        errorElement.setAttribute('role', 'alert');
+        errorElement.style.cssText = `
+            background: color-mix(in srgb, var(--color-error) 10%, var(--surface-color));
+            color: var(--color-error);
+            padding: var(--space-md);
+            border-radius: var(--border-radius-medium);
+            border: 1px solid var(--color-error);
+            margin-bottom: var(--space-lg);
+            font-weight: var(--font-weight-medium);
+        `;
+        errorElement.textContent = message;
+        
+        this.form.insertBefore(errorElement, this.form.firstChild);
+    }
+    
+    clearError() {
+        this.form.querySelector('.general-error')?.remove();
+    }
+    
+    /* ===========================================
+       HELPERS
+       =========================================== */
+    
+    // YYYY-MM-DD in local time (toISOString would shift to UTC)
+    toDateValue(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+/* ===========================================
+   INITIALIZE EVENT BOOKING
+   =========================================== */
+
+// Registered after form-handler.js, so window.waitlistFormHandler already exists
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof EventPricing === 'undefined') {
+        console.warn('⚠️ event-pricing.js not loaded - event booking disabled');
+        return;
+    }
+    window.eventBookingForm = new EventBookingForm();
+});
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBookingForm;
+}
@@ -0,0 +1,170 @@
+/*
+===========================================
+EVENT PRICING
+===========================================
+
+Instant price estimates for event booking requests. The estimate is
+built from a pricing table:
+
+    total = base fee
+          + hours x per-hour rate
+          + guests x per-guest rate
+          + guests x drinks menu surcharge
+          + travel fee (by distance band)
+
+Travel is measured from the nearest service center (see service-area.js).
+Locations past the last band, or ZIP codes we have no coordinates for,
+get their travel quoted separately - the estimate then leaves it out.
+
+CONFIGURATION:
+Override any part of the table before the scripts load:
+
+    window.MYLOCALBARISTA_EVENT_PRICING = {
+        baseFee: 200,
+        perGuest: 5,
+        travelBands: [{ upToMiles: 15, fee: 0 }, { upToMiles: 40, fee: 75 }]
+    };
+*/
+
+/* ===========================================
+   EVENT PRICING CLASS
+   =========================================== */
+
+class EventPricing {
+    constructor(table = {}, options = {}) {
+        this.table = { ...EventPricing.DEFAULTS, ...table };
+        
+        // Used to measure travel distance; without it travel is always quoted separately
+        this.serviceArea = options.serviceArea || null;
+        
+        this.formatter = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: this.table.currency,
+            maximumFractionDigits: 0
+        });
+    }
+    
+    /* ===========================================
+       TABLE LOOKUPS
+       =========================================== */
+    
+    getMenus() {
+        return Object.entries(this.table.menus).map(([id, menu]) => ({ id, ...menu }));
+    }
+    
+    getDurations() {
+        const hours = [];
+        for (let h = this.table.minHours; h <= this.table.maxHours; h++) hours.push(h);
+        return hours;
+    }
+    
+    // Earliest bookable date (local time, midnight) given the required notice
+    getEarliestDate(today = new Date()) {
+        const earliest = new Date(today);
+        earliest.setHours(0, 0, 0, 0);
+        earliest.setDate(earliest.getDate() + this.table.minLeadDays);
+        return earliest;
+    }
+    
+    // { miles, center, fee } - fee is null when travel has to be quoted separately
+    getTravel(zip) {
+        const point = this.serviceArea?.lookup(zip);
+        if (!point) return { miles: null, center: null, fee: null };
+        
+        const { center, distanceMiles } = this.serviceArea.findNearestCenter(point);
+        const band = this.table.travelBands.find(b => distanceMiles <= b.upToMiles);
+        
+        return {
+            miles: Math.round(distanceMiles),
+            center,
+            fee: band ? band.fee : null
+        };
+    }
+    
+    format(amount) {
+        return this.formatter.format(amount);
+    }
+    
+    /* ===========================================
+       ESTIMATE
+       =========================================== */
+    
+    // Returns null until guests, hours and menu are all known
+    estimate({ guests, hours, menu, zip }) {
+        const guestCount = Number(guests);
+        const menuInfo = this.table.menus[menu];
+        if (!Number.isInteger(guestCount) || guestCount < 1 || !hours || !menuInfo) return null;
+        
+        const billedHours = Math.max(this.table.minHours, Number(hours));
+        const t = this.table;
+        
+        const lines = [
+            { label: 'Base fee (setup & equipment)', amount: t.baseFee },
+            { label: `Barista time: ${billedHours} h × ${this.format(t.perHour)}`, amount: billedHours * t.perHour },
+            { label: `Guests: ${guestCount} × ${this.format(t.perGuest)}`, amount: guestCount * t.perGuest }
+        ];
+        
+        if (menuInfo.perGuest > 0) {
+            lines.push({
+                label: `${menuInfo.label}: ${guestCount} × ${this.format(menuInfo.perGuest)}`,
+                amount: guestCount * menuInfo.perGuest
+            });
+        }
+        
+        const travel = zip ? this.getTravel(zip) : null;
+        if (travel && travel.fee !== null) {
+            lines.push({
+                label: `Travel: ~${travel.miles} mi from ${travel.center.name}`,
+                amount: travel.fee
+            });
+        }
+        
+        return {
+            lines,
+            total: lines.reduce((sum, line) => sum + line.amount, 0),
+            travel,
+            // False when the location is unknown or beyond the last travel band
+            includesTravel: Boolean(travel && travel.fee !== null)
+        };
+    }
+}
+
+/* ===========================================
+   DEFAULT PRICING TABLE
+   =========================================== */
+
+EventPricing.DEFAULTS = {
+    currency: 'USD',
+    baseFee: 150,
+    perHour: 60,
+    perGuest: 4,
+    
+    // Bookable event length in hours
+    minHours: 2,
+    maxHours: 8,
+    
+    // Events need this many days' notice
+    minLeadDays: 14,
+    
+    // Extra per-guest charge by drinks menu
+    menus: {
+        classics: { label: 'Espresso classics', perGuest: 0 },
+        cafe: { label: 'Full café menu', perGuest: 2 },
+        signature: { label: 'Signature & seasonal drinks', perGuest: 4 }
+    },
+    
+    // Travel fee by distance from the nearest service center
+    travelBands: [
+        { upToMiles: 15, fee: 0 },
+        { upToMiles: 30, fee: 40 },
+        { upToMiles: 50, fee: 90 }
+    ]
+};
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventPricing;
+}
@@ -6,7 +6,25 @@ WAITLIST FORM HANDLER
 This file handles the waitlist form submission with Google Forms integration.
 It provides:
 - Form validation and error handling
-- Google Forms submission (when configured)
+- Submission through a configurable adapter (see submission-adapters.js) -
+  Google Forms by default, or a JSON endpoint, mailto: or local-only
+- An outbox for signups made while offline, retried automatically
+  (see submission-outbox.js)
+- Duplicate detection: an email this browser already signed up with gets
+  an "update your details?" prompt, and updates are sent as marked
+  update records (submission_type: 'update'). Training bookings
+  ('training-booking') and service requests ('service-request') never
+  get the prompt
+- International postal codes: a country selector plus per-country
+  validation and normalization (see postal-codes.js)
+- A service-area check: on ZIP blur the visitor sees whether they are
+  in, near or outside the area we serve (see service-area.js)
+- A step-by-step wizard mode with per-step validation and a saved
+  draft (see form-wizard.js); the single-page form is still available
+- Conditional follow-up questions driven by CONDITIONAL_FIELDS; hidden
+  follow-ups are neither validated nor submitted
+- Training sessions held in the scheduler (see training-scheduler.js)
+  are submitted together with the contact fields
 - Success/error feedback to users
 - Form data preprocessing
 - Accessibility support
@@ -39,12 +57,34 @@ class WaitlistFormHandler {
         this.fields = {
             name: document.getElementById('name'),
             email: document.getElementById('email'),
+            country: document.getElementById('country'),
             zip: document.getElementById('zip'),
             interest: document.getElementById('interest'),
             espressoMachine: this.form?.querySelector('input[name="espresso_machine"]:checked'),
-            comments: document.getElementById('comments')
+            comments: document.getElementById('comments'),
+            
+            // Follow-up fields (see CONDITIONAL_FIELDS)
+            skillLevel: document.getElementById('skill-level'),
+            eventDate: document.getElementById('event-date'),
+            guestCount: document.getElementById('guest-count'),
+            venueType: document.getElementById('venue-type'),
+            machineBrand: document.getElementById('machine-brand'),
+            machineModel: document.getElementById('machine-model'),
+            machineIssue: document.getElementById('machine-issue'),
+            machineBudget: document.getElementById('machine-budget')
         };
         
+        // Follow-up questions: each container in index.html is shown while its
+        // showWhen condition holds ({ fieldName: [values] }, 'any' or 'all' must match).
+        // Fields in hidden containers are disabled, so they skip validation and submission
+        this.CONDITIONAL_FIELDS = [
+            { container: 'followup-training', showWhen: { interest: ['training'] } },
+            { container: 'followup-events', showWhen: { interest: ['events'] } },
+            { container: 'followup-machine', showWhen: { interest: ['machine-help'], espresso_machine: ['yes'] }, match: 'any' },
+            { container: 'followup-machine-issue', showWhen: { interest: ['machine-help'] } },
+            { container: 'followup-budget', showWhen: { espresso_machine: ['no', 'considering'] } }
+        ];
+        
         // Google Forms configuration
         // Converted from: https://docs.google.com/forms/d/e/1FAIpQLSflEWC2sYiZ8lwPJtkgjq3X5Jjfcz-KENfeVQS7xDWG4J9TJg/viewform
         this.GOOGLE_FORM_URL = 'https://docs.google.com/forms/d/e/1FAIpQLSflEWC2sYiZ8lwPJtkgjq3X5Jjfcz-KENfeVQS7xDWG4J9TJg/formResponse';
@@ -54,13 +94,68 @@ class WaitlistFormHandler {
             zip: 'entry.832508456',         // Zip Code field ✅ WORKING
             interest: 'entry.1561535688',   // Primary Interest dropdown ✅ FOUND IN SOURCE
             espresso_machine: 'entry.1117044731', // Espresso machine radio ✅ FOUND IN SOURCE
-            comments: 'entry.1572710206'  // Comments field ✅ FOUND IN SOURCE
+            comments: 'entry.1572710206',  // Comments field ✅ FOUND IN SOURCE
+            
+            // Not on the Google Form yet - replace null with the entry ID once the question exists
+            country: null,                  // Country
+            service_area: null,             // Service area (in / near / outside / unknown)
+            service_area_center: null,      // Nearest service center
+            skill_level: null,              // Training follow-up
+            event_date: null,               // Events follow-ups
+            guest_count: null,
+            venue_type: null,
+            machine_brand: null,            // Machine follow-ups
+            machine_model: null,
+            machine_issue: null,
+            machine_budget: null,
+            event_start_time: null,         // Event requests (see event-booking.js)
+            event_duration_hours: null,
+            drinks_menu: null,
+            estimate_total: null,
+            training_class: null,           // Training session picked in the scheduler
+            training_session: null,
+            training_session_id: null,
+            service_machine_type: null,     // Service request from the troubleshooter
+            service_symptom: null,
+            service_diagnosis: null,
+            service_answers: null
         };
         
+        // Service centers and radii - defaults unless window.MYLOCALBARISTA_SERVICE_AREA says otherwise
+        this.serviceArea = typeof ServiceArea !== 'undefined'
+            ? new ServiceArea(window.MYLOCALBARISTA_SERVICE_AREA)
+            : null;
+        
+        // Submission backend - Google Forms unless window.MYLOCALBARISTA_SUBMISSION says otherwise
+        this.submissionAdapter = this.createSubmissionAdapter(window.MYLOCALBARISTA_SUBMISSION);
+        
+        // Signups that fail to send are queued here and retried later
+        this.outbox = typeof SubmissionOutbox !== 'undefined' && this.submissionAdapter
+            ? new SubmissionOutbox(this.submissionAdapter, {
+                onSent: (entry, result) => this.handleDelivered(entry.formData, result)
+            })
+            : null;
+        
+        // Training session handed over by the scheduler, plus its { onBooked, onRemoved } callbacks
+        this.trainingBooking = null;
+        this.trainingCallbacks = {};
+        this.trainingSelection = document.getElementById('training-selection');
+        
+        // Diagnosis handed over by the machine troubleshooter
+        this.serviceRequest = null;
+        this.serviceRequestSelection = document.getElementById('service-request-selection');
+        
+        // Emails this browser has signed up with (see recordSignup)
+        this.SIGNUPS_KEY = 'mylocalbarista_signups';
+        this.isUpdatingSignup = false;
+        
         // Form state
         this.isSubmitting = false;
         this.originalButtonText = '';
         
+        // FormWizard instance in wizard mode, null for the single-page form
+        this.wizard = null;
+        
         this.init();
     }
     
@@ -87,6 +182,21 @@ class WaitlistFormHandler {
         // Set up form validation
         this.setupValidation();
         
+        // Step-by-step mode (restores any saved draft, so it runs before the syncs below)
+        this.setupWizard();
+        
+        // Label and placeholder of the postal code field follow the country
+        this.updatePostalCodeField();
+        
+        // Show the follow-up questions that match the current answers
+        this.updateConditionalFields();
+        
+        // Retry queued signups (not from the style comparison previews - the
+        // main page already does, and each pane would send them again)
+        if (!window.customizationStorage?.isPreview()) {
+            this.outbox?.start();
+        }
+        
         console.log('✅ Waitlist Form Handler initialized');
     }
     
@@ -98,6 +208,31 @@ class WaitlistFormHandler {
         // Form submission
         this.form.addEventListener('submit', (e) => this.handleSubmit(e));
         
+        // Postal code rules depend on the selected country
+        this.fields.country?.addEventListener('change', () => {
+            this.updatePostalCodeField();
+            if (this.fields.zip?.value.trim()) this.validateField(this.fields.zip);
+            this.updateServiceAreaNotice();
+        });
+        
+        // Interest and machine answers decide which follow-up questions show
+        this.form.addEventListener('change', (e) => {
+            if (this.isConditionSource(e.target.name)) this.updateConditionalFields();
+        });
+        
+        // Dropping the held training session from the form
+        document.getElementById('training-selection-remove')?.addEventListener('click', () => {
+            this.clearTrainingBooking({ notify: true });
+        });
+        
+        // Dropping the troubleshooter's service request from the form
+        document.getElementById('service-request-remove')?.addEventListener('click', () => {
+            this.clearServiceRequest();
+        });
+        
+        // A different email makes the "already on the list" prompt obsolete
+        this.fields.email?.addEventListener('input', () => this.clearDuplicateNotice());
+        
         // Real-time validation
         Object.values(this.fields).forEach(field => {
             if (field) {
@@ -106,6 +241,10 @@ class WaitlistFormHandler {
             }
         });
         
+        // Service-area check runs after validation has normalized the ZIP
+        this.fields.zip?.addEventListener('blur', () => this.updateServiceAreaNotice());
+        this.fields.zip?.addEventListener('input', () => this.clearServiceAreaNotice());
+        
         // Radio button change handler
         const radioButtons = this.form.querySelectorAll('input[name="espresso_machine"]');
         radioButtons.forEach(radio => {
@@ -115,6 +254,65 @@ class WaitlistFormHandler {
         });
     }
     
+    /* ===========================================
+       WIZARD MODE
+       =========================================== */
+    
+    // data-mode="wizard" on the form (or window.MYLOCALBARISTA_FORM.mode) enables the wizard
+    setupWizard() {
+        const mode = window.MYLOCALBARISTA_FORM?.mode || this.form.dataset.mode || 'single';
+        if (mode !== 'wizard') return;
+        
+        if (typeof FormWizard === 'undefined') {
+            console.warn('⚠️ form-wizard.js not loaded - using the single-page form');
+            return;
+        }
+        
+        this.wizard = new FormWizard(this.form, {
+            validateStep: (step) => this.validateStep(step),
+            // Preview pages (style comparison) never write to localStorage
+            saveDrafts: !window.customizationStorage?.isPreview()
+        });
+        
+        if (!this.wizard.start()) {
+            this.wizard = null;
+        }
+    }
+    
+    // Validates only the fields inside one wizard step
+    validateStep(step) {
+        let isStepValid = true;
+        this.form.querySelector('.general-error')?.remove();
+        
+        Object.values(this.fields).forEach(field => {
+            if (field && step.contains(field) && !this.validateField(field)) {
+                isStepValid = false;
+            }
+        });
+        
+        const radios = step.querySelectorAll('input[name="espresso_machine"]');
+        if (radios.length > 0 && !step.querySelector('input[name="espresso_machine"]:checked')) {
+            isStepValid = false;
+            this.showGeneralError('Please select whether you own an espresso machine');
+        }
+        
+        return isStepValid;
+    }
+    
+    // After a failed full validation, jump back to the first step with a problem
+    showFirstInvalidStep() {
+        if (!this.wizard) return;
+        
+        const invalidField = this.form.querySelector('.form-step .error') ||
+            (!this.form.querySelector('input[name="espresso_machine"]:checked') &&
+                this.form.querySelector('input[name="espresso_machine"]'));
+        
+        const index = this.wizard.indexOf(invalidField);
+        if (index >= 0 && index !== this.wizard.currentStep) {
+            this.wizard.showStep(index);
+        }
+    }
+    
     /* ===========================================
        FORM VALIDATION
        =========================================== */
@@ -133,6 +331,12 @@ class WaitlistFormHandler {
     validateField(field) {
         if (!field) return true;
         
+        // Disabled fields belong to hidden follow-up questions
+        if (field.disabled) {
+            this.clearFieldError(field);
+            return true;
+        }
+        
         const value = field.value.trim();
         let isValid = true;
         let errorMessage = '';
@@ -151,12 +355,16 @@ class WaitlistFormHandler {
                     errorMessage = 'Please enter a valid email address';
                 }
                 break;
-                
+            
             case 'text':
                 if (field.id === 'zip' && value) {
-                    if (!this.isValidZipCode(value)) {
+                    const postalCode = this.validatePostalCode(value);
+                    if (!postalCode.valid) {
                         isValid = false;
-                        errorMessage = 'Please enter a valid 5-digit zip code';
+                        errorMessage = postalCode.message;
+                    } else if (postalCode.normalized !== value) {
+                        // Show the official format, e.g. "k1a0b1" -> "K1A 0B1"
+                        field.value = postalCode.normalized;
                     }
                 }
                 if (field.id === 'name' && value) {
@@ -166,6 +374,20 @@ class WaitlistFormHandler {
                     }
                 }
                 break;
+            
+            case 'number':
+                if (value && !this.isValidWholeNumber(value, field.min, field.max)) {
+                    isValid = false;
+                    errorMessage = `Please enter a whole number between ${field.min || 0} and ${field.max || 'any'}`;
+                }
+                break;
+            
+            case 'date':
+                if (value && this.isPastDate(value)) {
+                    isValid = false;
+                    errorMessage = 'Please choose a date in the future';
+                }
+                break;
         }
         
         // Display validation result
@@ -207,8 +429,18 @@ class WaitlistFormHandler {
         
         if (this.isSubmitting) return;
         
+        // Enter in a wizard step means "next", not "submit"
+        if (this.wizard && !this.wizard.isLastStep()) {
+            this.wizard.next();
+            return;
+        }
+        
         console.log('📤 Form submission started...');
         
+        // Set by the "Update my details" button right before it submits
+        const isUpdate = this.isUpdatingSignup;
+        this.isUpdatingSignup = false;
+        
         // Clear previous errors
         this.clearAllErrors();
         
@@ -216,30 +448,63 @@ class WaitlistFormHandler {
         if (!this.validateForm()) {
             console.log('❌ Form validation failed');
             this.showGeneralError('Please fix the errors above and try again');
+            this.showFirstInvalidStep();
+            return;
+        }
+        
+        // Collect form data
+        let formData = this.collectFormData();
+        
+        // Already signed up from this browser? Offer an update instead of a duplicate
+        // (training bookings and service requests are always sent as they are)
+        const previousSignup = this.isWaitlistSignup(formData) ? this.findPreviousSignup(formData.email) : null;
+        
+        if (previousSignup && !isUpdate) {
+            console.log('👥 Email already on the waitlist:', formData.email);
+            this.showDuplicateNotice(formData.email, previousSignup);
             return;
         }
         
+        if (previousSignup && isUpdate) {
+            formData = this.markAsUpdate(formData, previousSignup);
+        }
+        
         // Set submitting state
         this.setSubmittingState(true);
         
-        // Collect form data
-        const formData = this.collectFormData();
-        
         try {
-            // Submit to Google Forms (or handle locally)
-            await this.submitToGoogleForms(formData);
-            
-            // Show success message
-            this.showSuccessMessage();
+            // Hand the data to the active submission adapter
+            const result = await this.submitFormData(formData);
             
-            // Reset form
-            this.resetForm();
-            
-            console.log('✅ Form submitted successfully');
-            
-        } catch (error) {
-            console.error('❌ Form submission error:', error);
-            this.showSubmissionError();
+            if (result.success) {
+                // Show success message
+                if (formData.submission_type === 'update') {
+                    this.showUpdateSuccessMessage();
+                } else {
+                    this.showSuccessMessage(formData);
+                }
+                
+                // The held training session is now booked
+                if (formData.training_session_id) this.completeTrainingBooking();
+                if (formData.service_diagnosis) this.clearServiceRequest();
+                
+                // Reset form
+                this.resetForm();
+                
+                console.log(`✅ Form submitted successfully (${result.adapter}, ${result.delivery})`);
+            } else if (this.outbox?.shouldQueue(result)) {
+                // Offline or the endpoint is down - keep it and send it later
+                this.outbox.enqueue(formData, result.error);
+                this.showQueuedMessage();
+                if (formData.training_session_id) this.completeTrainingBooking();
+                if (formData.service_diagnosis) this.clearServiceRequest();
+                this.resetForm();
+                
+                console.log('📮 Form saved to the outbox, will retry automatically');
+            } else {
+                console.error('❌ Form submission error:', result.error);
+                this.showSubmissionError();
+            }
         } finally {
             this.setSubmittingState(false);
         }
@@ -262,69 +527,93 @@ class WaitlistFormHandler {
             'considering': 'I\'m considering purchasing one'
         };
         
-        return {
+        const formData = {
             name: this.fields.name?.value.trim() || '',
             email: this.fields.email?.value.trim() || '',
-            zip: this.fields.zip?.value.trim() || '',
+            country: this.getCountry(),
+            zip: this.validatePostalCode(this.fields.zip?.value.trim() || '').normalized,
             interest: interestMapping[this.fields.interest?.value] || this.fields.interest?.value || '',
             espresso_machine: espressoMachineMapping[espressoMachineValue] || espressoMachineValue,
             comments: this.fields.comments?.value.trim() || '',
+            ...this.getConditionalFieldValues(),
+            ...this.getServiceAreaFields(),
+            ...this.getTrainingBookingFields(),
+            ...this.getServiceRequestFields(),
+            submission_type: this.getSubmissionType(),
             timestamp: new Date().toISOString(),
             source: 'MyLocalBarista Landing Page'
         };
+        
+        // The Google Form has no country, follow-up, session or service questions yet,
+        // so the comments carry them too (the form assumes a US ZIP code, so only other countries are noted)
+        const details = this.describeConditionalFields();
+        if (formData.country !== 'US') {
+            details.unshift(`Country: ${this.fields.country?.selectedOptions[0]?.textContent.trim() || formData.country}`);
+        }
+        if (details.length > 0) {
+            formData.comments = `[DETAILS: ${details.join('; ')}] ${formData.comments}`.trim();
+        }
+        if (formData.training_session_id) {
+            formData.comments = `[TRAINING: ${formData.training_class}, ${formData.training_session}] ${formData.comments}`.trim();
+        }
+        if (formData.service_diagnosis) {
+            const answers = formData.service_answers ? ` (${formData.service_answers})` : '';
+            formData.comments = `[SERVICE REQUEST: ${formData.service_machine_type}, ${formData.service_symptom} - ${formData.service_diagnosis}${answers}] ${formData.comments}`.trim();
+        }
+        
+        return formData;
     }
     
-    async submitToGoogleForms(formData) {
+    // A session or technician visit the visitor asked for makes this a booking, not just a signup
+    getSubmissionType() {
+        if (this.trainingBooking) return 'training-booking';
+        if (this.serviceRequest) return 'service-request';
+        return 'new';
+    }
+    
+    createSubmissionAdapter(userConfig) {
+        if (typeof SubmissionAdapters === 'undefined') {
+            console.warn('⚠️ submission-adapters.js not loaded - signups will not be sent');
+            return null;
+        }
+        
+        const config = { adapter: 'google-forms', ...userConfig };
+        
+        // The Google Forms settings above are the defaults for the google-forms adapter
+        const defaults = config.adapter === 'google-forms'
+            ? { url: this.GOOGLE_FORM_URL, entries: this.GOOGLE_FORM_ENTRIES }
+            : {};
+        
+        const adapter = SubmissionAdapters.create(config, defaults);
+        console.log(`🔌 Waitlist submissions use the "${adapter.name}" adapter`);
+        return adapter;
+    }
+    
+    // Always resolves with a submission result (see submission-adapters.js)
+    async submitFormData(formData) {
         console.log('📋 Form data to submit:', formData);
         
-        try {
-            // Create FormData for Google Forms submission
-            const googleFormData = new FormData();
-            
-            // Log the entry mappings for debugging
-            console.log('🔍 Entry ID Mappings:');
-            console.log(`Name (${formData.name}) -> ${this.GOOGLE_FORM_ENTRIES.name}`);
-            console.log(`Email (${formData.email}) -> ${this.GOOGLE_FORM_ENTRIES.email}`);
-            console.log(`Zip (${formData.zip}) -> ${this.GOOGLE_FORM_ENTRIES.zip}`);
-            console.log(`Interest (${formData.interest}) -> ${this.GOOGLE_FORM_ENTRIES.interest}`);
-            console.log(`Espresso Machine (${formData.espresso_machine}) -> ${this.GOOGLE_FORM_ENTRIES.espresso_machine}`);
-            console.log(`Comments (${formData.comments}) -> ${this.GOOGLE_FORM_ENTRIES.comments}`);
-            
-            // Append form data with entry IDs
-            googleFormData.append(this.GOOGLE_FORM_ENTRIES.name, formData.name);
-            googleFormData.append(this.GOOGLE_FORM_ENTRIES.email, formData.email);
-            googleFormData.append(this.GOOGLE_FORM_ENTRIES.zip, formData.zip);
-            googleFormData.append(this.GOOGLE_FORM_ENTRIES.interest, formData.interest);
-            googleFormData.append(this.GOOGLE_FORM_ENTRIES.espresso_machine, formData.espresso_machine);
-            googleFormData.append(this.GOOGLE_FORM_ENTRIES.comments, formData.comments);
-            
-            console.log('📤 Submitting to Google Forms:', this.GOOGLE_FORM_URL);
-            
-            // Submit to Google Forms
-            const response = await fetch(this.GOOGLE_FORM_URL, {
-                method: 'POST',
-                body: googleFormData,
-                mode: 'no-cors' // Required for Google Forms - prevents CORS issues
-            });
-            
-            // Note: Google Forms returns opaque response in no-cors mode
-            // We assume success if no error is thrown
-            console.log('✅ Google Forms submission completed (no-cors mode - cannot verify response)');
-            
-            // Also store locally as backup
-            this.storeFormDataLocally(formData);
-            
-            return true;
-            
-        } catch (error) {
-            console.error('❌ Google Forms submission failed:', error);
-            
-            // Store locally as fallback
+        if (!this.submissionAdapter) {
+            return { success: false, adapter: null, delivery: null, status: null, data: null, error: new Error('No submission adapter configured') };
+        }
+        
+        const result = await this.submissionAdapter.submit(formData);
+        
+        if (result.success) {
+            this.handleDelivered(formData, result);
+        }
+        
+        return result;
+    }
+    
+    // Bookkeeping for a signup that reached the backend (directly or from the outbox)
+    handleDelivered(formData, result = null) {
+        // Keep a local backup copy (the local-only adapter already stored it)
+        if (result?.adapter !== 'local') {
             this.storeFormDataLocally(formData);
-            
-            // Re-throw error to trigger error handling in main submission flow
-            throw error;
         }
+        
+        this.recordSignup(formData);
     }
     
     storeFormDataLocally(formData) {
@@ -339,6 +628,151 @@ class WaitlistFormHandler {
         }
     }
     
+    /* ===========================================
+       DUPLICATE SIGNUPS
+       =========================================== */
+    
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+    
+    loadSignups() {
+        try {
+            const signups = JSON.parse(localStorage.getItem(this.SIGNUPS_KEY) || '{}');
+            return signups && typeof signups === 'object' && !Array.isArray(signups) ? signups : {};
+        } catch (error) {
+            console.warn('⚠️ Could not read previous signups:', error);
+            return {};
+        }
+    }
+    
+    // Event requests, training bookings and service requests share the backend but are not waitlist signups
+    isWaitlistSignup(formData) {
+        return !['event-request', 'training-booking', 'service-request'].includes(formData?.submission_type);
+    }
+    
+    // Remembers that this browser successfully signed up with an email
+    
+    recordSignup(formData) {
+        const email = this.normalizeEmail(formData.email);
+        if (!email || !this.isWaitlistSignup(formData)) return;
+        
+        try {
+            const signups = this.loadSignups();
+            const existing = signups[email];
+            
+            signups[email] = {
+                email,
+                firstSignedUpAt: existing?.firstSignedUpAt || formData.timestamp,
+                lastSubmittedAt: formData.timestamp,
+                updates: (existing?.updates || 0) + (formData.submission_type === 'update' ? 1 : 0)
+            };
+            
+            localStorage.setItem(this.SIGNUPS_KEY, JSON.stringify(signups));
+        } catch (error) {
+            console.warn('⚠️ Could not record signup:', error);
+        }
+    }
+    
+    // Returns the earlier signup for this email (delivered or still in the outbox), or null
+    findPreviousSignup(email) {
+        const normalized = this.normalizeEmail(email);
+        if (!normalized) return null;
+        
+        const recorded = this.loadSignups()[normalized];
+        if (recorded) return { ...recorded, pending: false };
+        
+        const queued = this.outbox?.getAll().find(entry =>
+            this.isWaitlistSignup(entry.formData) && this.normalizeEmail(entry.formData.email) === normalized);
+        if (queued) {
+            return {
+                email: normalized,
+                firstSignedUpAt: queued.formData.timestamp,
+                lastSubmittedAt: queued.formData.timestamp,
+                updates: 0,
+                pending: true
+            };
+        }
+        
+        return null;
+    }
+    
+    // Update records carry submission_type for structured backends, and a
+    // comment prefix so they also stand out in the Google Forms sheet
+    markAsUpdate(formData, previousSignup) {
+        return {
+            ...formData,
+            submission_type: 'update',
+            original_signup_at: previousSignup.firstSignedUpAt || '',
+            comments: `[UPDATE of ${previousSignup.firstSignedUpAt || 'earlier'} signup] ${formData.comments}`.trim()
+        };
+    }
+    
+    confirmUpdate() {
+        this.clearDuplicateNotice();
+        this.isUpdatingSignup = true;
+        
+        if (typeof this.form.requestSubmit === 'function') {
+            this.form.requestSubmit();
+        } else {
+            this.form.dispatchEvent(new Event('submit', { cancelable: true }));
+        }
+    }
+    
+    showDuplicateNotice(email, previousSignup) {
+        this.clearDuplicateNotice();
+        
+        const notice = document.createElement('div');
+        notice.className = 'duplicate-notice';
+        notice.setAttribute('role', 'status');
+        notice.style.cssText = `
+            background: color-mix(in srgb, var(--color-info) 10%, var(--surface-color));
+            color: var(--theme-text-primary);
+            padding: var(--space-md);
+            border-radius: var(--border-radius-medium);
+            border: 1px solid var(--color-info);
+            margin-bottom: var(--space-lg);
+            display: flex;
+            flex-direction: column;
+            gap: var(--space-sm);
+        `;
+        
+        // Built with textContent - the email is user input
+        const text = document.createElement('p');
+        text.style.margin = '0';
+        const since = previousSignup.firstSignedUpAt
+            ? ` since ${new Date(previousSignup.firstSignedUpAt).toLocaleDateString()}`
+            : '';
+        text.textContent = previousSignup.pending
+            ? `You've already signed up as ${email} - it will be sent once you're back online. Want to send updated details as well?`
+            : `You're already on the list as ${email}${since}. Want to update your details?`;
+        
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: var(--space-sm); flex-wrap: wrap;';
+        
+        const updateBtn = document.createElement('button');
+        updateBtn.type = 'button';
+        updateBtn.className = 'btn btn-primary';
+        updateBtn.innerHTML = '<i class="fas fa-pen"></i> Update my details';
+        updateBtn.addEventListener('click', () => this.confirmUpdate());
+        
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'No thanks';
+        cancelBtn.addEventListener('click', () => this.clearDuplicateNotice());
+        
+        actions.append(updateBtn, cancelBtn);
+        notice.append(text, actions);
+        
+        this.form.insertBefore(notice, this.form.firstChild);
+        updateBtn.focus();
+    }
+    
+    clearDuplicateNotice() {
+        this.form?.querySelector('.duplicate-notice')?.remove();
+    }
+    
     /* ===========================================
        UI STATE MANAGEMENT
        =========================================== */
@@ -438,7 +872,7 @@ class WaitlistFormHandler {
             <span>${message}</span>
         `;
         errorElement.style.cssText = `
-            background: color-mix(in srgb, var(--color-error) 10%, var(--color-white));
+            background: color-mix(in srgb, var(--color-error) 10%, var(--surface-color));
             color: var(--color-error);
             padding: var(--space-md);
             border-radius: var(--border-radius-medium);
@@ -458,18 +892,66 @@ class WaitlistFormHandler {
         this.showGeneralError('Sorry, there was an error submitting your information. Please try again in a moment.');
     }
     
-    showSuccessMessage() {
+    showSuccessMessage(formData = {}) {
+        const center = formData.service_area_center;
+        const messages = {
+            in: `Thank you for joining! You're in our ${center} service area, so we'll be in touch soon to get you booked in.`,
+            near: `Thank you for joining! You're just outside our ${center} service area - we'll reach out to see whether we can make the trip.`,
+            outside: 'Thank you for joining! We don\'t serve your area yet, but we\'ll let you know as soon as MyLocalBarista comes to you.',
+            unknown: 'Thank you for joining! We\'ll check whether we cover your area and be in touch soon.'
+        };
+        
+        let message = messages[formData.service_area] || 'Thank you for joining! We\'ll be in touch soon with updates about MyLocalBarista services in your area.';
+        if (formData.training_session_id) {
+            message += ` We'll email you to confirm your ${formData.training_class} seat on ${formData.training_session}.`;
+        }
+        if (formData.service_diagnosis) {
+            message += ' We\'ll contact you to arrange a technician visit.';
+        }
+        
+        this.showOverlayMessage({
+            icon: 'fa-check-circle',
+            title: { 'training-booking': 'Session Requested!', 'service-request': 'Technician Visit Requested!' }[formData.submission_type] || 'Welcome to the Waitlist!',
+            message,
+            buttonIcon: 'fa-thumbs-up',
+            buttonText: 'Awesome!'
+        });
+    }
+    
+    showUpdateSuccessMessage() {
+        this.showOverlayMessage({
+            icon: 'fa-check-circle',
+            title: 'Details Updated!',
+            message: 'Thanks! We\'ve sent your updated details - you\'re still on the waitlist.',
+            buttonIcon: 'fa-thumbs-up',
+            buttonText: 'Great!'
+        });
+    }
+    
+    // Shown instead of an error when the signup went to the outbox
+    showQueuedMessage() {
+        this.showOverlayMessage({
+            icon: 'fa-cloud-arrow-up',
+            iconColor: 'var(--color-info)',
+            title: 'Saved - We\'ll Send It Soon',
+            message: 'Looks like you\'re offline right now. Your signup is saved on this device and will be sent automatically when you\'re back online.',
+            buttonIcon: 'fa-check',
+            buttonText: 'Got it'
+        });
+    }
+    
+    showOverlayMessage({ icon, iconColor = 'var(--color-success)', title, message, buttonIcon, buttonText }) {
         // Create success overlay
         const successOverlay = document.createElement('div');
         successOverlay.className = 'success-overlay';
         successOverlay.innerHTML = `
             <div class="success-content">
-                <i class="fas fa-check-circle"></i>
-                <h3>Welcome to the Waitlist!</h3>
-                <p>Thank you for joining! We'll be in touch soon with updates about MyLocalBarista services in your area.</p>
+                <i class="fas ${icon}" style="color: ${iconColor};"></i>
+                <h3>${title}</h3>
+                <p>${message}</p>
                 <button class="btn btn-primary" onclick="this.closest('.success-overlay').remove()">
-                    <i class="fas fa-thumbs-up"></i>
-                    Awesome!
+                    <i class="fas ${buttonIcon}"></i>
+                    ${buttonText}
                 </button>
             </div>
         `;
@@ -496,7 +978,7 @@ class WaitlistFormHandler {
             }
             
             .success-content {
-                background: var(--color-white);
+                background: var(--surface-color);
                 padding: var(--space-2xl);
                 border-radius: var(--border-radius-xl);
                 text-align: center;
@@ -551,6 +1033,321 @@ class WaitlistFormHandler {
     resetForm() {
         this.form.reset();
         this.clearAllErrors();
+        this.clearDuplicateNotice();
+        this.clearServiceAreaNotice();
+        this.updatePostalCodeField();
+        this.updateConditionalFields();
+        this.wizard?.reset();
+    }
+    
+    /* ===========================================
+       POSTAL CODES
+       =========================================== */
+    
+    getCountry() {
+        return this.fields.country?.value || 'US';
+    }
+    
+    // { valid, normalized, message } for the selected country
+    validatePostalCode(value, country = this.getCountry()) {
+        if (typeof PostalCodes !== 'undefined') {
+            return PostalCodes.validate(value, country);
+        }
+        
+        // postal-codes.js missing - fall back to plain US ZIP codes
+        const valid = /^\d{5}(-\d{4})?$/.test(value);
+        return { valid, normalized: value, message: valid ? '' : 'Please enter a valid 5-digit zip code' };
+    }
+    
+    /* ===========================================
+       CONDITIONAL FOLLOW-UP QUESTIONS
+       =========================================== */
+    
+    // True when a field name appears in any showWhen condition
+    isConditionSource(name) {
+        return Boolean(name) && this.CONDITIONAL_FIELDS.some(rule => name in rule.showWhen);
+    }
+    
+    // Current value of a field by name (RadioNodeList.value gives the checked radio)
+    getFieldValue(name) {
+        return this.form.elements[name]?.value || '';
+    }
+    
+    isConditionMet(rule) {
+        const checks = Object.entries(rule.showWhen)
+            .map(([name, values]) => values.includes(this.getFieldValue(name)));
+        
+        return rule.match === 'any' ? checks.some(Boolean) : checks.every(Boolean);
+    }
+    
+    updateConditionalFields() {
+        this.CONDITIONAL_FIELDS.forEach(rule => {
+            const container = document.getElementById(rule.container);
+            if (!container) return;
+            
+            const isVisible = this.isConditionMet(rule);
+            container.hidden = !isVisible;
+            container.querySelectorAll('input, select, textarea').forEach(field => {
+                field.disabled = !isVisible;
+                if (!isVisible) this.clearFieldError(field);
+            });
+        });
+    }
+    
+    // Fields of the follow-up questions that are showing
+    getVisibleConditionalFields() {
+        return this.CONDITIONAL_FIELDS.flatMap(rule => {
+            const container = document.getElementById(rule.container);
+            if (!container || container.hidden) return [];
+            
+            return Array.from(container.querySelectorAll('input, select, textarea')).filter(field => field.name);
+        });
+    }
+    
+    // Selects send their option text
+    getAnswerText(field) {
+        return field.tagName === 'SELECT'
+            ? (field.value ? field.selectedOptions[0].textContent.trim() : '')
+            : field.value.trim();
+    }
+    
+    // Answers from the visible follow-up questions
+    getConditionalFieldValues() {
+        const values = {};
+        
+        this.getVisibleConditionalFields().forEach(field => {
+            values[field.name] = this.getAnswerText(field);
+        });
+        
+        return values;
+    }
+    
+    // "Question: answer" for every answered follow-up question, labelled as on the form
+    describeConditionalFields() {
+        return this.getVisibleConditionalFields()
+            .filter(field => this.getAnswerText(field))
+            .map(field => {
+                const label = this.form.querySelector(`label[for="${field.id}"]`)?.textContent.replace('*', '').trim() || field.name;
+                return `${label}: ${this.getAnswerText(field)}`;
+            });
+    }
+    
+    /* ===========================================
+       TRAINING SESSIONS
+       =========================================== */
+    
+    // Called by the scheduler's "Continue to Your Details" button
+    setTrainingBooking(booking, callbacks = {}) {
+        this.trainingBooking = booking;
+        this.trainingCallbacks = callbacks;
+        
+        // A held session means the visitor is here for training
+        if (this.fields.interest) {
+            this.fields.interest.value = 'training';
+            this.clearFieldError(this.fields.interest);
+            this.updateConditionalFields();
+        }
+        
+        this.renderTrainingSelection();
+    }
+    
+    // notify: tell the scheduler the visitor removed the session from the form
+    clearTrainingBooking({ notify = false } = {}) {
+        const callbacks = this.trainingCallbacks;
+        
+        this.trainingBooking = null;
+        this.trainingCallbacks = {};
+        this.renderTrainingSelection();
+        
+        if (notify && typeof callbacks.onRemoved === 'function') {
+            callbacks.onRemoved();
+        }
+    }
+    
+    // After the signup (with its session) was sent or queued
+    completeTrainingBooking() {
+        const callbacks = this.trainingCallbacks;
+        this.clearTrainingBooking();
+        
+        if (typeof callbacks.onBooked === 'function') {
+            callbacks.onBooked();
+        }
+    }
+    
+    renderTrainingSelection() {
+        if (!this.trainingSelection) return;
+        
+        const booking = this.trainingBooking;
+        this.trainingSelection.hidden = !booking;
+        
+        const text = document.getElementById('training-selection-text');
+        if (text) text.textContent = booking ? `${booking.className}: ${booking.label}` : '';
+    }
+    
+    getTrainingBookingFields() {
+        const booking = this.trainingBooking;
+        if (!booking) return {};
+        
+        return {
+            training_class: booking.className,
+            training_session: booking.label,
+            training_session_start: booking.start,
+            training_session_id: booking.slotId
+        };
+    }
+    
+    /* ===========================================
+       SERVICE REQUESTS
+       =========================================== */
+    
+    // Called by the troubleshooter's "Request a Technician Visit" button
+    setServiceRequest(request) {
+        this.serviceRequest = request;
+        
+        // Prefill the Machine Help questions from the diagnosis
+        if (this.fields.interest) {
+            this.fields.interest.value = 'machine-help';
+            this.clearFieldError(this.fields.interest);
+        }
+        
+        const ownsMachine = this.form.querySelector('input[name="espresso_machine"][value="yes"]');
+        if (ownsMachine) ownsMachine.checked = true;
+        
+        this.updateConditionalFields();
+        
+        const issue = this.fields.machineIssue;
+        if (issue && Array.from(issue.options).some(option => option.value === request.issue)) {
+            issue.value = request.issue;
+            this.clearFieldError(issue);
+        }
+        
+        this.renderServiceRequest();
+    }
+    
+    clearServiceRequest() {
+        this.serviceRequest = null;
+        this.renderServiceRequest();
+    }
+    
+    renderServiceRequest() {
+        if (!this.serviceRequestSelection) return;
+        
+        const request = this.serviceRequest;
+        this.serviceRequestSelection.hidden = !request;
+        
+        const text = document.getElementById('service-request-text');
+        if (text) text.textContent = request ? `Technician visit: ${request.diagnosis}` : '';
+    }
+    
+    getServiceRequestFields() {
+        const request = this.serviceRequest;
+        if (!request) return {};
+        
+        return {
+            service_machine_type: request.machineType,
+            service_symptom: request.symptom,
+            service_diagnosis: request.diagnosis,
+            service_answers: request.answers.map(({ question, answer }) => `${question} - ${answer}`).join(' | ')
+        };
+    }
+    
+    /* ===========================================
+       SERVICE AREA
+       =========================================== */
+    
+    // { status: 'in' | 'near' | 'outside' | 'unknown', center, distanceMiles } or null without a valid code
+    getServiceArea() {
+        const zip = this.fields.zip?.value.trim() || '';
+        if (!this.serviceArea || !zip) return null;
+        
+        const postalCode = this.validatePostalCode(zip);
+        if (!postalCode.valid) return null;
+        
+        return this.serviceArea.classify(postalCode.normalized, this.getCountry());
+    }
+    
+    // Fields added to the submitted form data
+    getServiceAreaFields() {
+        const classification = this.getServiceArea();
+        
+        return {
+            service_area: classification?.status || '',
+            service_area_center: classification?.center?.name || ''
+        };
+    }
+    
+    updateServiceAreaNotice() {
+        this.clearServiceAreaNotice();
+        
+        const classification = this.getServiceArea();
+        const formGroup = this.fields.zip?.closest('.form-group');
+        if (!classification || !formGroup) return;
+        
+        const { status, center, distanceMiles } = classification;
+        const styles = {
+            in: { color: 'var(--color-success)', icon: 'fa-circle-check' },
+            near: { color: 'var(--color-info)', icon: 'fa-location-dot' },
+            outside: { color: 'var(--color-warning)', icon: 'fa-map' },
+            unknown: { color: 'var(--color-info)', icon: 'fa-circle-question' }
+        };
+        const messages = {
+            in: `Great news - you're in our ${center?.name} service area.`,
+            near: `You're just outside our ${center?.name} service area (about ${Math.round(distanceMiles)} miles from the center) - we may still be able to help.`,
+            outside: 'We don\'t serve your area yet, but join anyway and we\'ll let you know when we expand.',
+            unknown: 'Join the waitlist and we\'ll check whether we cover your area.'
+        };
+        
+        const notice = document.createElement('div');
+        notice.className = 'service-area-notice';
+        notice.dataset.status = status;
+        notice.setAttribute('role', 'status');
+        notice.style.cssText = `
+            color: var(--theme-text-secondary);
+            font-size: 0.875rem;
+            margin-top: var(--space-xs);
+            display: flex;
+            align-items: baseline;
+            gap: var(--space-xs);
+        `;
+        
+        const icon = document.createElement('i');
+        icon.className = `fas ${styles[status].icon}`;
+        icon.style.color = styles[status].color;
+        
+        const text = document.createElement('span');
+        text.textContent = messages[status];
+        
+        notice.append(icon, text);
+        formGroup.appendChild(notice);
+        
+        console.log(`📍 Service area for ${this.fields.zip.value}: ${status}${center ? ` (${center.name}, ${distanceMiles} mi)` : ''}`);
+    }
+    
+    clearServiceAreaNotice() {
+        this.form?.querySelector('.service-area-notice')?.remove();
+    }
+    
+    // Switches the label, placeholder and keyboard of the postal code field
+    updatePostalCodeField() {
+        const zipField = this.fields.zip;
+        if (!zipField || typeof PostalCodes === 'undefined') return;
+        
+        const rule = PostalCodes.getRule(this.getCountry());
+        const label = this.form.querySelector('label[for="zip"]');
+        
+        if (label) {
+            // Keep the required marker added by setupValidation
+            const marker = label.querySelector('span');
+            label.textContent = rule.label;
+            if (marker) {
+                label.append(' ', marker);
+            } else {
+                label.append(' *');
+            }
+        }
+        
+        zipField.placeholder = rule.placeholder;
+        zipField.inputMode = rule.inputMode;
     }
     
     /* ===========================================
@@ -562,9 +1359,26 @@ class WaitlistFormHandler {
         return emailRegex.test(email);
     }
     
-    isValidZipCode(zip) {
-        const zipRegex = /^\d{5}$/;
-        return zipRegex.test(zip);
+    isValidWholeNumber(value, min, max) {
+        const number = Number(value);
+        if (!Number.isInteger(number)) return false;
+        if (min !== '' && min !== undefined && number < Number(min)) return false;
+        if (max !== '' && max !== undefined && number > Number(max)) return false;
+        return true;
+    }
+    
+    // Compares calendar days, so today counts as not in the past
+    isPastDate(value) {
+        const date = new Date(`${value}T00:00:00`);
+        if (Number.isNaN(date.getTime())) return true;
+        
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return date < today;
+    }
+    
+    isValidZipCode(zip, country = this.getCountry()) {
+        return this.validatePostalCode(zip, country).valid;
     }
     
     /* ===========================================
@@ -634,7 +1448,9 @@ class WaitlistFormHandler {
  * 5. Replace GOOGLE_FORM_URL with your actual form URL
  *    (change /viewform to /formResponse)
  * 
- * 6. Uncomment the Google Forms submission code in submitToGoogleForms()
+ * 6. Submissions go through the 'google-forms' adapter by default; set
+ *    window.MYLOCALBARISTA_SUBMISSION to use another backend
+ *    (see submission-adapters.js)
  */
 
 /* ===========================================
@@ -0,0 +1,289 @@
+/*
+===========================================
+WAITLIST FORM WIZARD
+===========================================
+
+Turns the waitlist form into a step-by-step wizard:
+contact -> interests -> equipment -> comments
+
+HOW IT WORKS:
+- Each step is a <fieldset class="form-step"> in index.html; its
+  <legend> becomes the step title in the progress indicator
+- Next validates the current step (through WaitlistFormHandler's
+  validateField) before moving on; Back never validates
+- The submit button only shows on the last step
+- Answers and the current step are saved as a draft in localStorage,
+  so a visitor who leaves mid-wizard picks up where they left off.
+  Drafts expire after a week and are cleared once the signup is sent
+
+SINGLE-PAGE MODE:
+The wizard only runs when the form has data-mode="wizard" (or
+window.MYLOCALBARISTA_FORM = { mode: 'wizard' }). With mode 'single' the
+fieldsets simply stack and the form behaves as one long page.
+*/
+
+/* ===========================================
+   FORM WIZARD CLASS
+   =========================================== */
+
+class FormWizard {
+    constructor(form, options = {}) {
+        this.form = form;
+        
+        // DOM elements (markup lives in index.html)
+        this.steps = Array.from(form?.querySelectorAll('.form-step') || []);
+        this.progress = document.getElementById('form-progress');
+        this.nav = document.getElementById('form-step-nav');
+        this.backBtn = document.getElementById('form-step-back');
+        this.nextBtn = document.getElementById('form-step-next');
+        this.submitBtn = form?.querySelector('button[type="submit"]');
+        
+        // Returns true when every field in the step element is valid
+        this.validateStep = options.validateStep || (() => true);
+        
+        // Called with (index, stepElement) after the visible step changes
+        this.onStepChange = options.onStepChange || null;
+        
+        // Draft storage - disabled on preview pages, which must not write to localStorage
+        this.STORAGE_KEY = options.storageKey || 'mylocalbarista_waitlist_draft';
+        this.DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 1 week
+        this.saveDrafts = options.saveDrafts !== false;
+        
+        this.currentStep = 0;
+        this.furthestStep = 0;
+        this.isActive = false;
+    }
+    
+    /* ===========================================
+       LIFECYCLE
+       =========================================== */
+    
+    start() {
+        if (!this.form || this.steps.length < 2) return false;
+        
+        this.form.classList.add('is-wizard');
+        
+        // Required fields on later (hidden) steps would make the browser block
+        // every submit, including Enter-to-advance; validateStep checks each step instead
+        this.form.noValidate = true;
+        
+        if (this.nav) this.nav.hidden = false;
+        if (this.progress) this.progress.hidden = false;
+        
+        this.setupEventListeners();
+        this.isActive = true;
+        
+        const draft = this.restoreDraft();
+        this.furthestStep = draft ? draft.furthestStep : 0;
+        this.showStep(draft ? draft.step : 0, { focus: false });
+        
+        console.log(`🧭 Waitlist wizard started (${this.steps.length} steps)`);
+        return true;
+    }
+    
+    // Back to the first step with a clean draft (after a successful signup)
+    reset() {
+        if (!this.isActive) return;
+        
+        this.furthestStep = 0;
+        this.showStep(0, { focus: false });
+        this.clearDraft();
+    }
+    
+    /* ===========================================
+       EVENT LISTENERS SETUP
+       =========================================== */
+    
+    setupEventListeners() {
+        this.nextBtn?.addEventListener('click', () => this.next());
+        this.backBtn?.addEventListener('click', () => this.back());
+        
+        this.progress?.addEventListener('click', (e) => {
+            const stepBtn = e.target.closest('[data-step-index]');
+            if (stepBtn) this.goTo(Number(stepBtn.dataset.stepIndex));
+        });
+        
+        // Keep the draft up to date while the visitor types
+        this.form.addEventListener('input', () => this.saveDraft());
+        this.form.addEventListener('change', () => this.saveDraft());
+    }
+    
+    /* ===========================================
+       NAVIGATION
+       =========================================== */
+    
+    isLastStep() {
+        return this.currentStep === this.steps.length - 1;
+    }
+    
+    // Index of the step containing an element (e.g. the first invalid field)
+    indexOf(element) {
+        return this.steps.findIndex(step => step.contains(element));
+    }
+    
+    next() {
+        if (this.isLastStep()) return false;
+        if (!this.validateStep(this.steps[this.currentStep])) return false;
+        
+        this.showStep(this.currentStep + 1);
+        return true;
+    }
+    
+    back() {
+        if (this.currentStep === 0) return;
+        this.showStep(this.currentStep - 1);
+    }
+    
+    // Going forward validates every step on the way; going back never does
+    goTo(index) {
+        if (index < 0 || index >= this.steps.length || index === this.currentStep) return;
+        
+        if (index > this.currentStep) {
+            for (let i = this.currentStep; i < index; i++) {
+                if (!this.validateStep(this.steps[i])) {
+                    this.showStep(i);
+                    return;
+                }
+            }
+        }
+        
+        this.showStep(index);
+    }
+    
+    showStep(index, { focus = true } = {}) {
+        this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+        this.furthestStep = Math.max(this.furthestStep, this.currentStep);
+        
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== this.currentStep;
+        });
+        
+        if (this.backBtn) this.backBtn.disabled = this.currentStep === 0;
+        if (this.nextBtn) this.nextBtn.hidden = this.isLastStep();
+        if (this.submitBtn) this.submitBtn.hidden = !this.isLastStep();
+        
+        this.renderProgress();
+        this.saveDraft();
+        
+        if (focus) {
+            this.steps[this.currentStep].querySelector('input, select, textarea')?.focus();
+        }
+        
+        if (typeof this.onStepChange === 'function') {
+            this.onStepChange(this.currentStep, this.steps[this.currentStep]);
+        }
+    }
+    
+    /* ===========================================
+       PROGRESS INDICATOR
+       =========================================== */
+    
+    renderProgress() {
+        if (!this.progress) return;
+        
+        this.progress.innerHTML = '';
+        
+        this.steps.forEach((step, index) => {
+            const title = step.querySelector('.form-step-title')?.textContent.trim() || `Step ${index + 1}`;
+            const isActive = index === this.currentStep;
+            const isComplete = index < this.currentStep;
+            
+            const item = document.createElement('li');
+            item.className = `form-progress-step${isActive ? ' is-active' : ''}${isComplete ? ' is-complete' : ''}`;
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'form-progress-btn';
+            button.dataset.stepIndex = index;
+            button.disabled = index > this.furthestStep;
+            button.setAttribute('aria-label', `Step ${index + 1} of ${this.steps.length}: ${title}`);
+            if (isActive) button.setAttribute('aria-current', 'step');
+            
+            const number = document.createElement('span');
+            number.className = 'form-progress-number';
+            number.innerHTML = isComplete ? '<i class="fas fa-check"></i>' : String(index + 1);
+            
+            const label = document.createElement('span');
+            label.className = 'form-progress-label';
+            label.textContent = title;
+            
+            button.append(number, label);
+            item.appendChild(button);
+            this.progress.appendChild(item);
+        });
+    }
+    
+    /* ===========================================
+       DRAFT STORAGE
+       =========================================== */
+    
+    saveDraft() {
+        if (!this.saveDrafts || !this.isActive) return;
+        
+        const values = {};
+        new FormData(this.form).forEach((value, name) => {
+            values[name] = value;
+        });
+        
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                step: this.currentStep,
+                furthestStep: this.furthestStep,
+                values,
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not save the waitlist draft:', error);
+        }
+    }
+    
+    // Fills the form from a saved draft; returns the draft or null
+    restoreDraft() {
+        if (!this.saveDrafts) return null;
+        
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.warn('⚠️ Could not read the waitlist draft:', error);
+        }
+        
+        if (!draft || typeof draft.values !== 'object') return null;
+        
+        if (Date.now() - new Date(draft.savedAt).getTime() > this.DRAFT_MAX_AGE) {
+            this.clearDraft();
+            return null;
+        }
+        
+        Object.entries(draft.values).forEach(([name, value]) => {
+            // For radio groups this is a RadioNodeList, whose value checks the matching radio
+            const field = this.form.elements[name];
+            if (field && typeof value === 'string') field.value = value;
+        });
+        
+        const lastStep = this.steps.length - 1;
+        const step = Math.max(0, Math.min(Number(draft.step) || 0, lastStep));
+        
+        console.log(`📝 Restored waitlist draft at step ${step + 1}`);
+        return {
+            step,
+            furthestStep: Math.max(step, Math.min(Number(draft.furthestStep) || 0, lastStep))
+        };
+    }
+    
+    clearDraft() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Could not clear the waitlist draft:', error);
+        }
+    }
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormWizard;
+}
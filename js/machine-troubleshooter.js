@@ -0,0 +1,427 @@
+/*
+===========================================
+MACHINE TROUBLESHOOTING ASSISTANT
+===========================================
+
+Walks visitors through a diagnosis for the Machine Help service:
+machine type -> symptom -> questions -> do-it-yourself tips or
+"needs a technician".
+
+HOW IT WORKS:
+- The decision tree lives in data/troubleshooting.json
+- Every answer moves to the next node; Back undoes the last answer
+- "diy" nodes list tips, with a "Still not fixed" button that follows
+  the node's ifNotFixed link (usually deeper in the tree or a technician)
+- "technician" nodes offer a service request: the machine type, symptom,
+  diagnosis and every answer are handed to WaitlistFormHandler, which
+  prefills the Machine Help questions and sends them with the signup
+
+The tree is loaded with fetch(), so the page has to be served over
+HTTP (e.g. `python3 -m http.server`). Point
+window.MYLOCALBARISTA_TROUBLESHOOTING = { treeUrl: '...' } at another
+file to use a different tree.
+
+TREE FILE SHAPE:
+{
+    "machineTypes": [{ "id", "name", "description" }],
+    "symptoms": [{ "id", "name", "machineTypes"?: [ids], "issue", "start": nodeId }],
+    "nodes": {
+        "<id>": { "question", "options": [{ "label", "next": nodeId }] },
+        "<id>": { "type": "diy", "title", "tips": [...], "ifNotFixed"?: nodeId },
+        "<id>": { "type": "technician", "title", "summary", "issue"? }
+    }
+}
+"issue" is a value of the waitlist form's #machine-issue select; a
+technician node's own issue wins over the symptom's.
+*/
+
+/* ===========================================
+   MACHINE TROUBLESHOOTER CLASS
+   =========================================== */
+
+class MachineTroubleshooter {
+    constructor(options = {}) {
+        // DOM elements (markup lives in index.html)
+        this.panel = document.getElementById('troubleshooter-panel');
+        this.pathList = document.getElementById('troubleshooter-path');
+        this.question = document.getElementById('troubleshooter-question');
+        this.optionsContainer = document.getElementById('troubleshooter-options');
+        this.result = document.getElementById('troubleshooter-result');
+        this.backBtn = document.getElementById('troubleshooter-back');
+        this.restartBtn = document.getElementById('troubleshooter-restart');
+        this.status = document.getElementById('troubleshooter-status');
+        
+        // Waitlist handler - receives the service request and submits it
+        this.handler = options.handler || window.waitlistFormHandler || null;
+        
+        const config = window.MYLOCALBARISTA_TROUBLESHOOTING || {};
+        this.treeUrl = options.treeUrl || config.treeUrl || 'data/troubleshooting.json';
+        
+        // { machineTypes, symptoms, nodes } once loaded
+        this.tree = null;
+        
+        // answers: [{ question, answer }] shown in the path and sent with the request
+        this.state = this.getInitialState();
+        this.history = [];
+        
+        this.init();
+    }
+    
+    /* ===========================================
+       INITIALIZATION
+       =========================================== */
+    
+    async init() {
+        if (!this.panel) return;
+        
+        this.setupEventListeners();
+        
+        this.tree = await this.loadTree();
+        if (!this.tree) return;
+        
+        this.render();
+        
+        console.log(`🔧 Machine troubleshooter ready (${Object.keys(this.tree.nodes).length} steps)`);
+    }
+    
+    getInitialState() {
+        return { machineTypeId: null, symptomId: null, nodeId: null, answers: [] };
+    }
+    
+    async loadTree() {
+        this.setStatus('Loading the troubleshooter...');
+        
+        try {
+            const response = await fetch(this.treeUrl, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`Troubleshooting tree request failed with ${response.status}`);
+            
+            const tree = MachineTroubleshooter.normalizeTree(await response.json());
+            this.setStatus('');
+            return tree;
+        } catch (error) {
+            console.warn('⚠️ Could not load the troubleshooting tree:', error);
+            this.setStatus('Sorry, the troubleshooter is unavailable right now. Join the waitlist below and pick "Machine Help" - we\'ll get back to you.');
+            return null;
+        }
+    }
+    
+    // Drops symptoms whose start node is missing so a typo doesn't break the flow
+    static normalizeTree(data) {
+        const nodes = data?.nodes && typeof data.nodes === 'object' ? data.nodes : {};
+        const machineTypes = (Array.isArray(data?.machineTypes) ? data.machineTypes : [])
+            .filter(type => type && typeof type.id === 'string' && typeof type.name === 'string');
+        const symptoms = (Array.isArray(data?.symptoms) ? data.symptoms : [])
+            .filter(symptom => symptom && typeof symptom.id === 'string' && nodes[symptom.start]);
+        
+        return { machineTypes, symptoms, nodes };
+    }
+    
+    /* ===========================================
+       EVENT LISTENERS SETUP
+       =========================================== */
+    
+    setupEventListeners() {
+        this.optionsContainer?.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-choice]');
+            if (option) this.choose(option.dataset.choice);
+        });
+        
+        this.result?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'not-fixed') this.stillNotFixed();
+            if (action === 'fixed') this.markFixed();
+            if (action === 'request') this.requestTechnician();
+        });
+        
+        this.backBtn?.addEventListener('click', () => this.back());
+        this.restartBtn?.addEventListener('click', () => this.restart());
+    }
+    
+    /* ===========================================
+       TREE LOOKUPS
+       =========================================== */
+    
+    getMachineType(id) {
+        return this.tree?.machineTypes.find(type => type.id === id) || null;
+    }
+    
+    getSymptom(id) {
+        return this.tree?.symptoms.find(symptom => symptom.id === id) || null;
+    }
+    
+    getNode(id) {
+        return (id && this.tree?.nodes[id]) || null;
+    }
+    
+    // Symptoms that apply to a machine type (no machineTypes list = every type)
+    getSymptoms(machineTypeId) {
+        return (this.tree?.symptoms || []).filter(symptom =>
+            !Array.isArray(symptom.machineTypes) || symptom.machineTypes.includes(machineTypeId));
+    }
+    
+    // The question currently on screen: { title, options: [{ value, label, description }] } or null at an outcome
+    getCurrentQuestion() {
+        if (!this.state.machineTypeId) {
+            return {
+                title: 'What kind of machine do you have?',
+                options: this.tree.machineTypes.map(type => ({ value: type.id, label: type.name, description: type.description }))
+            };
+        }
+        
+        if (!this.state.symptomId) {
+            return {
+                title: 'What\'s going wrong?',
+                options: this.getSymptoms(this.state.machineTypeId).map(symptom => ({ value: symptom.id, label: symptom.name }))
+            };
+        }
+        
+        const node = this.getNode(this.state.nodeId);
+        if (!node || node.type) return null;
+        
+        return {
+            title: node.question,
+            options: (node.options || []).map((option, index) => ({ value: String(index), label: option.label }))
+        };
+    }
+    
+    /* ===========================================
+       NAVIGATION
+       =========================================== */
+    
+    choose(value) {
+        const question = this.getCurrentQuestion();
+        const option = question?.options.find(o => o.value === value);
+        if (!option) return;
+        
+        this.pushHistory();
+        this.state.answers.push({ question: question.title, answer: option.label });
+        
+        if (!this.state.machineTypeId) {
+            this.state.machineTypeId = value;
+        } else if (!this.state.symptomId) {
+            this.state.symptomId = value;
+            this.state.nodeId = this.getSymptom(value).start;
+        } else {
+            this.state.nodeId = this.getNode(this.state.nodeId).options[Number(value)].next;
+        }
+        
+        this.render({ focus: true });
+    }
+    
+    // Tips didn't help - follow the node's ifNotFixed link
+    stillNotFixed() {
+        const node = this.getNode(this.state.nodeId);
+        if (!node?.ifNotFixed) return;
+        
+        this.pushHistory();
+        this.state.answers.push({ question: `Tried: ${node.title}`, answer: 'Still not fixed' });
+        this.state.nodeId = node.ifNotFixed;
+        
+        this.render({ focus: true });
+    }
+    
+    markFixed() {
+        this.setStatus('Glad that sorted it! Come back any time your machine acts up.');
+        console.log('🔧 Fixed with DIY tips:', this.state.nodeId);
+    }
+    
+    back() {
+        if (this.history.length === 0) return;
+        
+        this.state = this.history.pop();
+        this.render({ focus: true });
+    }
+    
+    restart() {
+        this.state = this.getInitialState();
+        this.history = [];
+        this.render({ focus: true });
+    }
+    
+    pushHistory() {
+        this.history.push({ ...this.state, answers: [...this.state.answers] });
+    }
+    
+    /* ===========================================
+       SERVICE REQUEST
+       =========================================== */
+    
+    // Everything the waitlist form needs to know about the diagnosis
+    getServiceRequest() {
+        const node = this.getNode(this.state.nodeId);
+        const symptom = this.getSymptom(this.state.symptomId);
+        const machineType = this.getMachineType(this.state.machineTypeId);
+        if (node?.type !== 'technician' || !symptom || !machineType) return null;
+        
+        return {
+            machineType: machineType.name,
+            symptom: symptom.name,
+            diagnosis: node.title,
+            issue: node.issue || symptom.issue || 'other',
+            // Skip the machine type and symptom - they have their own fields
+            answers: this.state.answers.slice(2)
+        };
+    }
+    
+    // Hands the diagnosis to the waitlist form and scrolls there
+    requestTechnician() {
+        const request = this.getServiceRequest();
+        if (!request) return;
+        
+        if (!this.handler) {
+            this.setStatus('Sorry, service requests are unavailable right now. Please try again later.');
+            return;
+        }
+        
+        this.handler.setServiceRequest(request);
+        this.setStatus('Your answers have been added to the signup form below.');
+        
+        const waitlist = document.getElementById('waitlist');
+        waitlist?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.handler.fields.name?.focus({ preventScroll: true });
+        
+        console.log('🔧 Service request handed to the waitlist form:', request.diagnosis);
+    }
+    
+    /* ===========================================
+       RENDERING
+       =========================================== */
+    
+    render({ focus = false } = {}) {
+        this.setStatus('');
+        this.renderPath();
+        
+        const question = this.getCurrentQuestion();
+        this.renderQuestion(question);
+        this.renderResult(question ? null : this.getNode(this.state.nodeId));
+        
+        if (this.backBtn) this.backBtn.disabled = this.history.length === 0;
+        if (this.restartBtn) this.restartBtn.hidden = this.history.length === 0;
+        
+        if (focus) {
+            (question ? this.question : this.result.querySelector('h3'))?.focus();
+        }
+    }
+    
+    renderPath() {
+        if (!this.pathList) return;
+        
+        this.pathList.innerHTML = '';
+        this.pathList.hidden = this.state.answers.length === 0;
+        
+        this.state.answers.forEach(({ answer }) => {
+            const item = document.createElement('li');
+            item.textContent = answer;
+            this.pathList.appendChild(item);
+        });
+    }
+    
+    renderQuestion(question) {
+        this.question.hidden = !question;
+        this.optionsContainer.hidden = !question;
+        this.optionsContainer.innerHTML = '';
+        if (!question) return;
+        
+        this.question.textContent = question.title;
+        
+        question.options.forEach(option => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'troubleshooter-option';
+            button.dataset.choice = option.value;
+            
+            const label = document.createElement('span');
+            label.className = 'troubleshooter-option-label';
+            label.textContent = option.label;
+            button.appendChild(label);
+            
+            if (option.description) {
+                const description = document.createElement('span');
+                description.className = 'troubleshooter-option-description';
+                description.textContent = option.description;
+                button.appendChild(description);
+            }
+            
+            this.optionsContainer.appendChild(button);
+        });
+    }
+    
+    renderResult(node) {
+        this.result.hidden = !node;
+        this.result.innerHTML = '';
+        if (!node) return;
+        
+        const isTechnician = node.type === 'technician';
+        this.result.dataset.type = node.type;
+        
+        const title = document.createElement('h3');
+        title.className = 'troubleshooter-result-title';
+        title.tabIndex = -1;
+        title.innerHTML = `<i class="fas ${isTechnician ? 'fa-user-gear' : 'fa-lightbulb'}"></i> `;
+        title.append(isTechnician ? `Needs a technician: ${node.title}` : node.title);
+        this.result.appendChild(title);
+        
+        if (node.summary) {
+            const summary = document.createElement('p');
+            summary.className = 'troubleshooter-result-summary';
+            summary.textContent = node.summary;
+            this.result.appendChild(summary);
+        }
+        
+        if (Array.isArray(node.tips) && node.tips.length > 0) {
+            const tips = document.createElement('ol');
+            tips.className = 'troubleshooter-tips';
+            node.tips.forEach(tip => {
+                const item = document.createElement('li');
+                item.textContent = tip;
+                tips.appendChild(item);
+            });
+            this.result.appendChild(tips);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'troubleshooter-result-actions';
+        
+        if (isTechnician) {
+            actions.appendChild(this.createActionButton('request', 'btn-primary', 'Request a Technician Visit', 'fa-arrow-right'));
+        } else {
+            actions.appendChild(this.createActionButton('fixed', 'btn-secondary', 'That Fixed It', 'fa-check'));
+            if (node.ifNotFixed) {
+                actions.appendChild(this.createActionButton('not-fixed', 'btn-primary', 'Still Not Fixed', 'fa-arrow-right'));
+            }
+        }
+        
+        this.result.appendChild(actions);
+    }
+    
+    createActionButton(action, variant, label, icon) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${variant}`;
+        button.dataset.action = action;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.prepend(`${label} `);
+        return button;
+    }
+    
+    setStatus(message) {
+        if (this.status) this.status.textContent = message;
+    }
+}
+
+/* ===========================================
+   INITIALIZE MACHINE TROUBLESHOOTER
+   =========================================== */
+
+// Registered after form-handler.js, so window.waitlistFormHandler already exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.machineTroubleshooter = new MachineTroubleshooter();
+});
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MachineTroubleshooter;
+}
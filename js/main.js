@@ -147,7 +147,7 @@ class MyLocalBaristaApp {
             const currentScrollY = window.scrollY;
             
             if (currentScrollY > this.scrollThreshold && !isScrolled) {
-                navbar.style.background = 'rgba(255, 255, 255, 0.95)';
+                navbar.style.background = 'color-mix(in srgb, var(--surface-color) 95%, transparent)';
                 navbar.style.backdropFilter = 'blur(10px)';
                 navbar.style.boxShadow = 'var(--shadow-sm)';
                 isScrolled = true;
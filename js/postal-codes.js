@@ -0,0 +1,191 @@
+/*
+===========================================
+POSTAL CODE VALIDATION
+===========================================
+
+Per-country postal code rules for the waitlist form:
+- Normalizes what visitors type (case, spacing, hyphens) into the
+  official format, e.g. "k1a0b1" -> "K1A 0B1", "123456789" -> "12345-6789"
+- Validates the normalized value against the country's format
+- Provides the local name, placeholder and error message per country
+
+SUPPORTED COUNTRIES:
+US (ZIP and ZIP+4), CA, GB, IE, DE, FR, ES, IT, NL, BE, AT
+
+All methods are static; country codes are ISO 3166-1 alpha-2.
+Unknown countries fall back to a lenient "3-10 letters/digits" rule.
+*/
+
+/* ===========================================
+   POSTAL CODES CLASS
+   =========================================== */
+
+class PostalCodes {
+    /* ===========================================
+       LOOKUP
+       =========================================== */
+    
+    static getRule(country) {
+        return PostalCodes.RULES[String(country || '').toUpperCase()] || PostalCodes.FALLBACK_RULE;
+    }
+    
+    static getCountries() {
+        return Object.entries(PostalCodes.RULES).map(([code, rule]) => ({ code, name: rule.country }));
+    }
+    
+    /* ===========================================
+       NORMALIZATION & VALIDATION
+       =========================================== */
+    
+    // Returns the value in the country's official format (or trimmed as-is if it can't tell)
+    static normalize(value, country) {
+        const rule = PostalCodes.getRule(country);
+        const compact = String(value || '').toUpperCase().replace(/[\s-]+/g, '');
+        
+        return rule.format ? rule.format(compact) : String(value || '').trim().toUpperCase();
+    }
+    
+    static isValid(value, country) {
+        const rule = PostalCodes.getRule(country);
+        return rule.pattern.test(PostalCodes.normalize(value, country));
+    }
+    
+    // { valid, normalized, message } - message is empty when valid
+    static validate(value, country) {
+        const rule = PostalCodes.getRule(country);
+        const normalized = PostalCodes.normalize(value, country);
+        const valid = rule.pattern.test(normalized);
+        
+        return { valid, normalized, message: valid ? '' : rule.message };
+    }
+}
+
+/* ===========================================
+   COUNTRY RULES
+   =========================================== */
+
+// Formatters receive the value uppercased with spaces and hyphens removed
+PostalCodes.RULES = {
+    US: {
+        country: 'United States',
+        label: 'ZIP Code',
+        placeholder: '12345 or 12345-6789',
+        inputMode: 'numeric',
+        pattern: /^\d{5}(-\d{4})?$/,
+        format: (code) => (/^\d{9}$/.test(code) ? `${code.slice(0, 5)}-${code.slice(5)}` : code),
+        message: 'Please enter a valid ZIP code (12345 or 12345-6789)'
+    },
+    CA: {
+        country: 'Canada',
+        label: 'Postal Code',
+        placeholder: 'K1A 0B1',
+        inputMode: 'text',
+        // No D, F, I, O, Q or U anywhere; no W or Z as the first letter
+        pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+        format: (code) => (code.length === 6 ? `${code.slice(0, 3)} ${code.slice(3)}` : code),
+        message: 'Please enter a valid postal code (e.g. K1A 0B1)'
+    },
+    GB: {
+        country: 'United Kingdom',
+        label: 'Postcode',
+        placeholder: 'SW1A 1AA',
+        inputMode: 'text',
+        pattern: /^(GIR 0AA|[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2})$/,
+        // The inward code is always the last three characters
+        format: (code) => (code.length >= 5 && code.length <= 7 ? `${code.slice(0, -3)} ${code.slice(-3)}` : code),
+        message: 'Please enter a valid UK postcode (e.g. SW1A 1AA)'
+    },
+    IE: {
+        country: 'Ireland',
+        label: 'Eircode',
+        placeholder: 'D02 X285',
+        inputMode: 'text',
+        pattern: /^[AC-FHKNPRTV-Y]\d[\dW] [AC-FHKNPRTV-Y\d]{4}$/,
+        format: (code) => (code.length === 7 ? `${code.slice(0, 3)} ${code.slice(3)}` : code),
+        message: 'Please enter a valid Eircode (e.g. D02 X285)'
+    },
+    DE: {
+        country: 'Germany',
+        label: 'Postleitzahl (PLZ)',
+        placeholder: '10115',
+        inputMode: 'numeric',
+        pattern: /^(0[1-9]|[1-9]\d)\d{3}$/,
+        format: (code) => code.replace(/^D(?=\d)/, ''),
+        message: 'Please enter a valid German postcode (PLZ, 5 digits, e.g. 10115)'
+    },
+    FR: {
+        country: 'France',
+        label: 'Code postal',
+        placeholder: '75001',
+        inputMode: 'numeric',
+        pattern: /^\d{5}$/,
+        format: (code) => code.replace(/^F(?=\d)/, ''),
+        message: 'Please enter a valid French postcode (code postal, 5 digits, e.g. 75001)'
+    },
+    ES: {
+        country: 'Spain',
+        label: 'Código postal',
+        placeholder: '28001',
+        inputMode: 'numeric',
+        // Provinces are numbered 01-52
+        pattern: /^(0[1-9]|[1-4]\d|5[0-2])\d{3}$/,
+        format: (code) => code.replace(/^E(?=\d)/, ''),
+        message: 'Please enter a valid Spanish postcode (código postal, 5 digits, e.g. 28001)'
+    },
+    IT: {
+        country: 'Italy',
+        label: 'CAP',
+        placeholder: '00118',
+        inputMode: 'numeric',
+        pattern: /^\d{5}$/,
+        format: (code) => code.replace(/^I(?=\d)/, ''),
+        message: 'Please enter a valid Italian postcode (CAP, 5 digits, e.g. 00118)'
+    },
+    NL: {
+        country: 'Netherlands',
+        label: 'Postcode',
+        placeholder: '1012 AB',
+        inputMode: 'text',
+        // SA, SD and SS are never issued
+        pattern: /^[1-9]\d{3} (?!SA|SD|SS)[A-Z]{2}$/,
+        format: (code) => (/^\d{4}[A-Z]{2}$/.test(code) ? `${code.slice(0, 4)} ${code.slice(4)}` : code),
+        message: 'Please enter a valid Dutch postcode (e.g. 1012 AB)'
+    },
+    BE: {
+        country: 'Belgium',
+        label: 'Postcode',
+        placeholder: '1000',
+        inputMode: 'numeric',
+        pattern: /^[1-9]\d{3}$/,
+        format: (code) => code.replace(/^B(?=\d)/, ''),
+        message: 'Please enter a valid Belgian postcode (4 digits, e.g. 1000)'
+    },
+    AT: {
+        country: 'Austria',
+        label: 'Postleitzahl (PLZ)',
+        placeholder: '1010',
+        inputMode: 'numeric',
+        pattern: /^[1-9]\d{3}$/,
+        format: (code) => code.replace(/^A(?=\d)/, ''),
+        message: 'Please enter a valid Austrian postcode (PLZ, 4 digits, e.g. 1010)'
+    }
+};
+
+// Used for countries without a specific rule
+PostalCodes.FALLBACK_RULE = {
+    country: 'Other',
+    label: 'Postal Code',
+    placeholder: '',
+    inputMode: 'text',
+    pattern: /^[A-Z\d][A-Z\d -]{1,8}[A-Z\d]$/,
+    format: null,
+    message: 'Please enter a valid postal code'
+};
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostalCodes;
+}
@@ -0,0 +1,219 @@
+/*
+===========================================
+COLOR PRESET REGISTRY
+===========================================
+
+This file keeps every color preset the customization panel can apply:
+- Built-in presets (Coffee Shop, Modern Blue, Earthy Green, Luxury Gold)
+- Extra built-ins added by configuration
+- User-defined presets saved from the panel (stored in localStorage)
+
+ADDING BUILT-IN PRESETS BY CONFIGURATION:
+Define this before the scripts load (or pass it to the constructor):
+
+    window.MYLOCALBARISTA_PRESETS = {
+        espresso: { label: 'Espresso Bar', primary: '#3E2723', secondary: '#A1887F', accent: '#EFEBE9' }
+    };
+
+PRESET SHAPE:
+{ id, label, primary, secondary, accent, builtIn }
+
+User presets can be renamed, deleted and reordered; built-ins cannot.
+*/
+
+/* ===========================================
+   PRESET REGISTRY CLASS
+   =========================================== */
+
+class PresetRegistry {
+    constructor(extraBuiltIns = window.MYLOCALBARISTA_PRESETS) {
+        // localStorage key for user-defined presets
+        this.STORAGE_KEY = 'mylocalbarista_presets';
+        
+        // Presets shipped with the page
+        this.BUILT_IN_PRESETS = {
+            coffee: {
+                label: 'Coffee Shop',
+                primary: '#8B4513',
+                secondary: '#D2691E',
+                accent: '#F4E4C1'
+            },
+            modern: {
+                label: 'Modern Blue',
+                primary: '#3B82F6',
+                secondary: '#10B981',
+                accent: '#F3F4F6'
+            },
+            earthy: {
+                label: 'Earthy Green',
+                primary: '#059669',
+                secondary: '#84CC16',
+                accent: '#ECFDF5'
+            },
+            luxe: {
+                label: 'Luxury Gold',
+                primary: '#D97706',
+                secondary: '#F59E0B',
+                accent: '#FEF3C7'
+            }
+        };
+        
+        this.builtIns = [];
+        this.customPresets = [];
+        
+        Object.entries(this.BUILT_IN_PRESETS).forEach(([id, preset]) => this.registerBuiltIn(id, preset));
+        Object.entries(extraBuiltIns || {}).forEach(([id, preset]) => this.registerBuiltIn(id, preset));
+        
+        this.load();
+    }
+    
+    /* ===========================================
+       LOOKUP
+       =========================================== */
+    
+    get(id) {
+        return this.getAll().find(preset => preset.id === id) || null;
+    }
+    
+    getAll() {
+        return [...this.builtIns, ...this.customPresets];
+    }
+    
+    getBuiltIns() {
+        return [...this.builtIns];
+    }
+    
+    getCustomPresets() {
+        return [...this.customPresets];
+    }
+    
+    /* ===========================================
+       BUILT-IN REGISTRATION
+       =========================================== */
+    
+    registerBuiltIn(id, preset) {
+        if (!this.isValidPreset(preset)) {
+            console.warn(`⚠️ Ignoring invalid preset configuration: ${id}`);
+            return null;
+        }
+        
+        const entry = this.normalize({ ...preset, id, label: preset.label || id }, true);
+        
+        // Configuration may override a shipped preset with the same id
+        const existingIndex = this.builtIns.findIndex(item => item.id === id);
+        if (existingIndex >= 0) {
+            this.builtIns[existingIndex] = entry;
+        } else {
+            this.builtIns.push(entry);
+        }
+        
+        return entry;
+    }
+    
+    /* ===========================================
+       USER PRESETS
+       =========================================== */
+    
+    saveCustom(label, colors) {
+        const name = (label || '').trim();
+        if (!name || !this.isValidPreset(colors)) return null;
+        
+        const preset = this.normalize({
+            id: `custom-${Date.now().toString(36)}`,
+            label: name,
+            primary: colors.primary,
+            secondary: colors.secondary,
+            accent: colors.accent
+        }, false);
+        
+        this.customPresets.push(preset);
+        this.persist();
+        
+        return preset;
+    }
+    
+    rename(id, label) {
+        const preset = this.customPresets.find(item => item.id === id);
+        const name = (label || '').trim();
+        if (!preset || !name) return false;
+        
+        preset.label = name;
+        this.persist();
+        return true;
+    }
+    
+    remove(id) {
+        const index = this.customPresets.findIndex(item => item.id === id);
+        if (index < 0) return false;
+        
+        this.customPresets.splice(index, 1);
+        this.persist();
+        return true;
+    }
+    
+    // Moves a user preset up (-1) or down (+1) in the list
+    move(id, offset) {
+        const index = this.customPresets.findIndex(item => item.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.customPresets.length) return false;
+        
+        const [preset] = this.customPresets.splice(index, 1);
+        this.customPresets.splice(target, 0, preset);
+        this.persist();
+        return true;
+    }
+    
+    /* ===========================================
+       PERSISTENCE
+       =========================================== */
+    
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            this.customPresets = Array.isArray(stored)
+                ? stored.filter(preset => preset && preset.id && preset.label && this.isValidPreset(preset))
+                    .map(preset => this.normalize(preset, false))
+                : [];
+        } catch (error) {
+            console.warn('⚠️ Could not load saved presets:', error);
+            this.customPresets = [];
+        }
+    }
+    
+    persist() {
+        try {
+            const stored = this.customPresets.map(({ id, label, primary, secondary, accent }) => ({ id, label, primary, secondary, accent }));
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(stored));
+        } catch (error) {
+            console.warn('⚠️ Could not save presets:', error);
+        }
+    }
+    
+    /* ===========================================
+       VALIDATION UTILITIES
+       =========================================== */
+    
+    isValidPreset(preset) {
+        const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        return !!preset && isColor(preset.primary) && isColor(preset.secondary) && isColor(preset.accent);
+    }
+    
+    normalize(preset, builtIn) {
+        return {
+            id: String(preset.id),
+            label: String(preset.label),
+            primary: preset.primary.toUpperCase(),
+            secondary: preset.secondary.toUpperCase(),
+            accent: preset.accent.toUpperCase(),
+            builtIn
+        };
+    }
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetRegistry;
+}
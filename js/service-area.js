@@ -0,0 +1,141 @@
+/*
+===========================================
+SERVICE AREA CHECK
+===========================================
+
+Tells the waitlist form whether a ZIP code is inside, near or outside
+the area MyLocalBarista currently serves.
+
+HOW IT WORKS:
+- ZIP codes are looked up in the bundled dataset (zip-coordinates.js)
+- The distance to every service center is measured "as the crow flies"
+- in:      within a center's radius
+- near:    within radius + nearMiles of a center (worth a follow-up)
+- outside: further away, or not a US ZIP code
+- unknown: a US ZIP code missing from the dataset - it may well be
+  in the area, so the form asks to check rather than turning it away
+
+CONFIGURATION:
+Define this before the scripts load to change the service centers:
+
+    window.MYLOCALBARISTA_SERVICE_AREA = {
+        centers: [
+            { id: 'seattle', name: 'Seattle', lat: 47.6062, lng: -122.3321, radiusMiles: 20 }
+        ],
+        nearMiles: 25
+    };
+
+CLASSIFICATION SHAPE:
+{
+    status: 'in' | 'near' | 'outside' | 'unknown',
+    center: { id, name, ... } | null,   // closest center (if the ZIP is known)
+    distanceMiles: number | null         // distance to that center
+}
+*/
+
+/* ===========================================
+   SERVICE AREA CLASS
+   =========================================== */
+
+class ServiceArea {
+    constructor(options = {}) {
+        this.centers = options.centers || ServiceArea.DEFAULT_CENTERS;
+        
+        // Extra distance beyond a center's radius that still counts as "near"
+        this.nearMiles = options.nearMiles ?? 25;
+        
+        // '<ZIP>': [lat, lng]
+        this.coordinates = options.coordinates ||
+            (typeof window !== 'undefined' && window.MYLOCALBARISTA_ZIP_COORDINATES) || {};
+    }
+    
+    /* ===========================================
+       LOOKUP
+       =========================================== */
+    
+    // Coordinates for a US ZIP (ZIP+4 is reduced to the first five digits)
+    lookup(zip) {
+        const match = /^(\d{5})(-?\d{4})?$/.exec(String(zip || '').trim());
+        if (!match) return null;
+        
+        const point = this.coordinates[match[1]];
+        return Array.isArray(point) ? { lat: point[0], lng: point[1] } : null;
+    }
+    
+    // Closest center to a point: { center, distanceMiles }
+    findNearestCenter(point) {
+        return this.centers.reduce((nearest, center) => {
+            const distanceMiles = ServiceArea.distanceMiles(point, center);
+            
+            // Compare by distance past the edge, so a big center can win over a closer small one
+            const beyondEdge = distanceMiles - center.radiusMiles;
+            if (!nearest || beyondEdge < nearest.distanceMiles - nearest.center.radiusMiles) {
+                return { center, distanceMiles };
+            }
+            return nearest;
+        }, null);
+    }
+    
+    /* ===========================================
+       CLASSIFICATION
+       =========================================== */
+    
+    classify(zip, country = 'US') {
+        const outside = { status: 'outside', center: null, distanceMiles: null };
+        
+        // The dataset only covers US ZIP codes
+        if (country && country !== 'US') return outside;
+        
+        if (this.centers.length === 0) return outside;
+        
+        // No coordinates for this ZIP - can't tell how far away it is
+        const point = this.lookup(zip);
+        if (!point) return { status: 'unknown', center: null, distanceMiles: null };
+        
+        const { center, distanceMiles } = this.findNearestCenter(point);
+        const rounded = Math.round(distanceMiles * 10) / 10;
+        
+        if (distanceMiles <= center.radiusMiles) {
+            return { status: 'in', center, distanceMiles: rounded };
+        }
+        if (distanceMiles <= center.radiusMiles + this.nearMiles) {
+            return { status: 'near', center, distanceMiles: rounded };
+        }
+        return { status: 'outside', center, distanceMiles: rounded };
+    }
+    
+    /* ===========================================
+       GEOMETRY
+       =========================================== */
+    
+    // Great-circle (haversine) distance between two { lat, lng } points
+    static distanceMiles(a, b) {
+        const EARTH_RADIUS_MILES = 3958.8;
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        
+        const dLat = toRadians(b.lat - a.lat);
+        const dLng = toRadians(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+        
+        return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+}
+
+/* ===========================================
+   DEFAULT SERVICE CENTERS
+   =========================================== */
+
+ServiceArea.DEFAULT_CENTERS = [
+    { id: 'seattle', name: 'Seattle', lat: 47.6062, lng: -122.3321, radiusMiles: 20 },
+    { id: 'portland', name: 'Portland', lat: 45.5152, lng: -122.6784, radiusMiles: 15 },
+    { id: 'austin', name: 'Austin', lat: 30.2672, lng: -97.7431, radiusMiles: 20 }
+];
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceArea;
+}
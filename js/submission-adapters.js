@@ -0,0 +1,364 @@
+/*
+===========================================
+WAITLIST SUBMISSION ADAPTERS
+===========================================
+
+This file decouples the waitlist form from the service that receives
+the signups. WaitlistFormHandler builds the form data and hands it to
+the active adapter; the adapter knows how to deliver it.
+
+BUILT-IN ADAPTERS:
+- 'google-forms'  Posts to a Google Form (no-cors, so delivery is unconfirmed;
+                  mode: 'cors' reads the response, e.g. from the local
+                  mock server in tools/mock-form-server.js)
+- 'json'          POSTs the form data as JSON to your own endpoint
+- 'mailto'        Opens the visitor's mail client with the signup pre-filled
+- 'local'         Only stores the signup in localStorage (demos, testing)
+
+CHOOSING AN ADAPTER:
+Define this before the scripts load (Google Forms is the default):
+
+    window.MYLOCALBARISTA_SUBMISSION = {
+        adapter: 'json',
+        url: 'https://api.example.com/waitlist',
+        headers: { 'X-Api-Key': '...' }
+    };
+
+Other options: google-forms { url, entries, mode, timeout }, mailto { to, subject },
+local { storageKey }, json { url, headers, timeout }.
+
+SUBMISSION RESULT (every adapter resolves, none of them throw):
+{
+    success: boolean,
+    adapter: 'google-forms' | 'json' | 'mailto' | 'local',
+    delivery: 'confirmed' | 'unconfirmed' | 'handed-off' | 'local' | null,
+    status: HTTP status or null,
+    data: parsed response body or null,
+    error: Error or null
+}
+
+CUSTOM ADAPTERS:
+Extend SubmissionAdapter, implement submit(formData) and register it:
+    SubmissionAdapters.register('my-crm', MyCrmAdapter);
+*/
+
+/* ===========================================
+   BASE ADAPTER
+   =========================================== */
+
+class SubmissionAdapter {
+    constructor(options = {}) {
+        this.options = options;
+    }
+    
+    // Registry name, e.g. 'json'
+    get name() {
+        return this.constructor.adapterName || 'custom';
+    }
+    
+    async submit(formData) {
+        throw new Error(`${this.constructor.name} does not implement submit()`);
+    }
+    
+    /* ===========================================
+       RESULT HELPERS
+       =========================================== */
+    
+    success(delivery, extra = {}) {
+        return { success: true, adapter: this.name, delivery, status: null, data: null, error: null, ...extra };
+    }
+    
+    failure(error, extra = {}) {
+        return {
+            success: false,
+            adapter: this.name,
+            delivery: null,
+            status: null,
+            data: null,
+            error: error instanceof Error ? error : new Error(String(error)),
+            ...extra
+        };
+    }
+    
+    // Parses JSON bodies, falls back to text, and tolerates empty responses
+    async readBody(response) {
+        try {
+            const text = await response.text();
+            if (!text) return null;
+            
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/* ===========================================
+   GOOGLE FORMS ADAPTER
+   =========================================== */
+
+class GoogleFormsAdapter extends SubmissionAdapter {
+    constructor(options = {}) {
+        super(options);
+        
+        // Form action URL (/formResponse) and form field -> entry.* id map
+        this.url = options.url;
+        this.entries = options.entries || {};
+        
+        // Google Forms only works with 'no-cors'; 'cors' is for servers that
+        // send CORS headers (the mock form server) so the status can be checked
+        this.mode = options.mode === 'cors' ? 'cors' : 'no-cors';
+        this.timeout = options.timeout ?? 10000; // ms, 'cors' mode only
+    }
+    
+    buildBody(formData) {
+        const body = new FormData();
+        
+        Object.entries(this.entries).forEach(([field, entryId]) => {
+            // Fields without an entry ID yet are not on the Google Form
+            if (!entryId) return;
+            if (formData[field] === undefined || formData[field] === null) return;
+            
+            console.log(`🔍 ${field} (${formData[field]}) -> ${entryId}`);
+            body.append(entryId, formData[field]);
+        });
+        
+        return body;
+    }
+    
+    async submit(formData) {
+        if (!this.url) {
+            return this.failure(new Error('Google Forms adapter needs a form URL'));
+        }
+        
+        if (this.mode === 'cors') {
+            return this.submitWithResponse(formData);
+        }
+        
+        try {
+            console.log('📤 Submitting to Google Forms:', this.url);
+            
+            await fetch(this.url, {
+                method: 'POST',
+                body: this.buildBody(formData),
+                mode: 'no-cors' // Required for Google Forms - prevents CORS issues
+            });
+            
+            // Google Forms returns an opaque response in no-cors mode,
+            // so reaching this point is the best confirmation we get
+            console.log('✅ Google Forms submission completed (no-cors mode - cannot verify response)');
+            return this.success('unconfirmed');
+        } catch (error) {
+            console.error('❌ Google Forms submission failed:', error);
+            return this.failure(error);
+        }
+    }
+    
+    // Same form post, but the response is readable so delivery is confirmed
+    async submitWithResponse(formData) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+        
+        try {
+            console.log('📤 Submitting form post (cors) to:', this.url);
+            
+            const response = await fetch(this.url, {
+                method: 'POST',
+                body: this.buildBody(formData),
+                mode: 'cors',
+                signal: controller?.signal
+            });
+            
+            const data = await this.readBody(response);
+            
+            if (!response.ok) {
+                return this.failure(new Error(`Form endpoint responded with ${response.status}`), { status: response.status, data });
+            }
+            
+            console.log('✅ Form submission accepted:', response.status);
+            return this.success('confirmed', { status: response.status, data });
+        } catch (error) {
+            console.error('❌ Form submission failed:', error);
+            return this.failure(error);
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+}
+
+GoogleFormsAdapter.adapterName = 'google-forms';
+
+/* ===========================================
+   JSON POST ADAPTER
+   =========================================== */
+
+class JsonPostAdapter extends SubmissionAdapter {
+    constructor(options = {}) {
+        super(options);
+        
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout ?? 10000; // ms
+    }
+    
+    async submit(formData) {
+        if (!this.url) {
+            return this.failure(new Error('JSON adapter needs an endpoint URL'));
+        }
+        
+        // Give up on hanging requests so the visitor isn't left waiting
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+        
+        try {
+            console.log('📤 Submitting JSON to:', this.url);
+            
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this.headers },
+                body: JSON.stringify(formData),
+                signal: controller?.signal
+            });
+            
+            const data = await this.readBody(response);
+            
+            if (!response.ok) {
+                return this.failure(new Error(`Endpoint responded with ${response.status}`), { status: response.status, data });
+            }
+            
+            console.log('✅ JSON submission accepted:', response.status);
+            return this.success('confirmed', { status: response.status, data });
+        } catch (error) {
+            console.error('❌ JSON submission failed:', error);
+            return this.failure(error);
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+}
+
+JsonPostAdapter.adapterName = 'json';
+
+/* ===========================================
+   MAILTO ADAPTER
+   =========================================== */
+
+class MailtoAdapter extends SubmissionAdapter {
+    constructor(options = {}) {
+        super(options);
+        
+        this.to = options.to || '';
+        this.subject = options.subject || 'MyLocalBarista Waitlist Signup';
+        
+        // How the mailto: link is opened (overridable for testing)
+        this.open = options.open || ((href) => { window.location.href = href; });
+    }
+    
+    buildHref(formData) {
+        const lines = Object.entries(formData)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([field, value]) => `${field}: ${value}`);
+        
+        const params = new URLSearchParams({ subject: this.subject, body: lines.join('\n') });
+        
+        // mailto: expects %20 rather than + for spaces
+        return `mailto:${encodeURI(this.to)}?${params.toString().replace(/\+/g, '%20')}`;
+    }
+    
+    async submit(formData) {
+        if (!this.to) {
+            return this.failure(new Error('Mailto adapter needs a "to" address'));
+        }
+        
+        try {
+            this.open(this.buildHref(formData));
+            
+            // The visitor still has to press send in their mail client
+            console.log('✉️ Signup handed off to the mail client');
+            return this.success('handed-off');
+        } catch (error) {
+            console.error('❌ Could not open the mail client:', error);
+            return this.failure(error);
+        }
+    }
+}
+
+MailtoAdapter.adapterName = 'mailto';
+
+/* ===========================================
+   LOCAL-ONLY ADAPTER
+   =========================================== */
+
+class LocalOnlyAdapter extends SubmissionAdapter {
+    constructor(options = {}) {
+        super(options);
+        
+        this.storageKey = options.storageKey || 'mylocalbarista_waitlist';
+    }
+    
+    async submit(formData) {
+        try {
+            const existingData = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            existingData.push(formData);
+            localStorage.setItem(this.storageKey, JSON.stringify(existingData));
+            
+            console.log('💾 Signup stored locally (local-only adapter)');
+            return this.success('local');
+        } catch (error) {
+            console.error('❌ Could not store signup locally:', error);
+            return this.failure(error);
+        }
+    }
+}
+
+LocalOnlyAdapter.adapterName = 'local';
+
+/* ===========================================
+   ADAPTER REGISTRY
+   =========================================== */
+
+class SubmissionAdapters {
+    static register(name, AdapterClass) {
+        SubmissionAdapters.registry[name] = AdapterClass;
+    }
+    
+    // config: { adapter: '<name>', ...options }; defaults fill in missing options
+    static create(config = {}, defaults = {}) {
+        const options = { ...defaults, ...config };
+        const name = options.adapter || 'google-forms';
+        const AdapterClass = SubmissionAdapters.registry[name];
+        
+        if (!AdapterClass) {
+            console.warn(`⚠️ Unknown submission adapter "${name}", falling back to local-only`);
+            return new LocalOnlyAdapter(options);
+        }
+        
+        return new AdapterClass(options);
+    }
+}
+
+SubmissionAdapters.registry = {
+    [GoogleFormsAdapter.adapterName]: GoogleFormsAdapter,
+    [JsonPostAdapter.adapterName]: JsonPostAdapter,
+    [MailtoAdapter.adapterName]: MailtoAdapter,
+    [LocalOnlyAdapter.adapterName]: LocalOnlyAdapter
+};
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SubmissionAdapter,
+        GoogleFormsAdapter,
+        JsonPostAdapter,
+        MailtoAdapter,
+        LocalOnlyAdapter,
+        SubmissionAdapters
+    };
+}
@@ -0,0 +1,242 @@
+/*
+===========================================
+WAITLIST SUBMISSION OUTBOX
+===========================================
+
+Signups that could not be delivered (visitor offline, endpoint down)
+are kept in an outbox in localStorage and sent again later:
+- Right away when the browser fires the `online` event
+- On later page loads, once their retry time has come
+- On a timer while the page stays open
+
+Retries back off exponentially (15s, 30s, 1min, ... up to 1 hour).
+Entries are removed as soon as the active submission adapter reports
+success (see submission-adapters.js).
+
+OUTBOX ENTRY SHAPE:
+{
+    id: 'outbox-<base36 time>-<random>',
+    formData: { ... },          // exactly what the form handler built
+    attempts: 1,                // delivery attempts so far
+    createdAt: ISO string,
+    lastAttemptAt: ISO string,
+    nextAttemptAt: ISO string,
+    lastError: 'message' | null
+}
+*/
+
+/* ===========================================
+   SUBMISSION OUTBOX CLASS
+   =========================================== */
+
+class SubmissionOutbox {
+    constructor(adapter, options = {}) {
+        // Adapter used to (re)send entries - anything with submit(formData)
+        this.adapter = adapter;
+        
+        // localStorage key for pending submissions
+        this.STORAGE_KEY = options.storageKey || 'mylocalbarista_outbox';
+        
+        // Exponential backoff between attempts
+        this.BASE_DELAY = options.baseDelay ?? 15 * 1000;      // 15 seconds
+        this.MAX_DELAY = options.maxDelay ?? 60 * 60 * 1000;   // 1 hour
+        
+        // Called with (entry, result) after a queued entry is delivered
+        this.onSent = options.onSent || null;
+        
+        this.isFlushing = false;
+        this.retryTimer = null;
+    }
+    
+    /* ===========================================
+       LIFECYCLE
+       =========================================== */
+    
+    // Hooks up the online event and sends anything that is already due
+    start() {
+        window.addEventListener('online', () => {
+            console.log('🌐 Back online - sending queued signups');
+            this.flush({ force: true });
+        });
+        
+        if (this.size() > 0) {
+            console.log(`📮 ${this.size()} queued signup(s) waiting to be sent`);
+            this.flush();
+        }
+    }
+    
+    /* ===========================================
+       QUEUE MANAGEMENT
+       =========================================== */
+    
+    // Network errors, timeouts and server-side errors are worth retrying;
+    // a 4xx response means the endpoint rejected the data itself
+    shouldQueue(result) {
+        if (!result || result.success) return false;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+        if (!result.status) return true;
+        
+        return result.status >= 500 || result.status === 408 || result.status === 429;
+    }
+    
+    enqueue(formData, error = null) {
+        const now = Date.now();
+        const entry = {
+            id: `outbox-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            formData,
+            attempts: 1,
+            createdAt: new Date(now).toISOString(),
+            lastAttemptAt: new Date(now).toISOString(),
+            nextAttemptAt: new Date(now + this.getDelay(1)).toISOString(),
+            lastError: error ? String(error.message || error) : null
+        };
+        
+        const entries = this.load();
+        entries.push(entry);
+        this.persist(entries);
+        this.scheduleRetry();
+        
+        console.log('📮 Signup queued for later delivery:', entry.id);
+        return entry;
+    }
+    
+    getAll() {
+        return this.load();
+    }
+    
+    size() {
+        return this.load().length;
+    }
+    
+    remove(id) {
+        this.persist(this.load().filter(entry => entry.id !== id));
+    }
+    
+    // Delay before the next attempt after `attempts` failed attempts
+    getDelay(attempts) {
+        return Math.min(this.MAX_DELAY, this.BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1)));
+    }
+    
+    isDue(entry, now = Date.now()) {
+        return new Date(entry.nextAttemptAt).getTime() <= now;
+    }
+    
+    /* ===========================================
+       DELIVERY
+       =========================================== */
+    
+    // Tries every due entry once; `force` ignores the backoff (e.g. after `online`)
+    async flush({ force = false } = {}) {
+        if (this.isFlushing || !this.adapter) return { sent: 0, failed: 0 };
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.scheduleRetry();
+            return { sent: 0, failed: 0 };
+        }
+        
+        this.isFlushing = true;
+        let sent = 0;
+        let failed = 0;
+        
+        try {
+            const dueEntries = this.load().filter(entry => force || this.isDue(entry));
+            
+            for (const entry of dueEntries) {
+                // Built-in adapters never throw, but custom ones might -
+                // a throw counts as a failed attempt for this entry only
+                let result;
+                try {
+                    result = await this.adapter.submit(entry.formData);
+                } catch (error) {
+                    console.error('❌ Adapter threw while sending a queued signup:', error);
+                    this.recordFailure(entry.id, error);
+                    failed++;
+                    continue;
+                }
+                
+                if (result?.success) {
+                    this.remove(entry.id);
+                    sent++;
+                    console.log('✅ Queued signup delivered:', entry.id);
+                    
+                    if (typeof this.onSent === 'function') {
+                        this.onSent(entry, result);
+                    }
+                } else {
+                    this.recordFailure(entry.id, result?.error);
+                    failed++;
+                }
+            }
+        } finally {
+            this.isFlushing = false;
+            this.scheduleRetry();
+        }
+        
+        return { sent, failed };
+    }
+    
+    recordFailure(id, error) {
+        const now = Date.now();
+        const entries = this.load().map(entry => {
+            if (entry.id !== id) return entry;
+            
+            const attempts = entry.attempts + 1;
+            return {
+                ...entry,
+                attempts,
+                lastAttemptAt: new Date(now).toISOString(),
+                nextAttemptAt: new Date(now + this.getDelay(attempts)).toISOString(),
+                lastError: error ? String(error.message || error) : null
+            };
+        });
+        
+        this.persist(entries);
+    }
+    
+    // Wakes up when the earliest entry is due (while the page stays open)
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        
+        const entries = this.load();
+        if (entries.length === 0) return;
+        
+        const nextAttempt = Math.min(...entries.map(entry => new Date(entry.nextAttemptAt).getTime()));
+        const delay = Math.max(1000, nextAttempt - Date.now());
+        
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+    
+    /* ===========================================
+       STORAGE
+       =========================================== */
+    
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries.filter(entry => entry && entry.id && entry.formData) : [];
+        } catch (error) {
+            console.warn('⚠️ Could not read the signup outbox:', error);
+            return [];
+        }
+    }
+    
+    persist(entries) {
+        try {
+            if (entries.length === 0) {
+                localStorage.removeItem(this.STORAGE_KEY);
+            } else {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save the signup outbox:', error);
+        }
+    }
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubmissionOutbox;
+}
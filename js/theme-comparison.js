@@ -0,0 +1,306 @@
+/*
+===========================================
+SIDE-BY-SIDE THEME COMPARISON
+===========================================
+
+This file powers the "Compare Styles" overlay opened from the
+customization panel. It shows the landing page in two or three panes
+at once - one per theme stylesheet - so the styles can be judged next
+to each other instead of flipping the theme selector back and forth.
+
+HOW IT WORKS:
+- Each pane is an <iframe> loading index.html with a preview link
+  (?preview=1&design=...), built by CustomizationStorage.buildPreviewUrl()
+- The design link carries the current colors, roundedness and typography,
+  so every pane shows the same customizations with a different theme
+- Preview pages never write to localStorage, so the panes can't
+  overwrite the visitor's own saved design
+- Scrolling one pane scrolls the others to the same relative position
+  (the themes differ in height, so positions are matched by percentage)
+*/
+
+/* ===========================================
+   THEME COMPARISON CLASS
+   =========================================== */
+
+class ThemeComparison {
+    constructor(options = {}) {
+        // DOM elements (markup lives in index.html)
+        this.overlay = document.getElementById('theme-comparison');
+        this.panesContainer = document.getElementById('comparison-panes');
+        this.togglesContainer = document.getElementById('comparison-toggles');
+        this.syncToggle = document.getElementById('comparison-sync');
+        this.closeBtn = document.getElementById('comparison-close');
+        
+        // Collaborators
+        this.storage = options.storage || window.customizationStorage || null;
+        this.getState = options.getState || (() => this.storage?.load() || {});
+        this.onSelect = options.onSelect || null;
+        
+        // Themes that can be compared: [{ id, label }]
+        this.themes = options.themes || (this.storage?.THEMES || ['classic', 'modern', 'warm']).map(id => ({ id, label: id }));
+        this.selectedThemes = this.themes.map(theme => theme.id);
+        this.MIN_PANES = 2;
+        
+        // Pane state: [{ theme, element, iframe, ignoreScroll }]
+        this.panes = [];
+        this.syncScroll = true;
+        this.isOpen = false;
+        
+        // Element focused before opening, to restore focus on close
+        this.returnFocusTo = null;
+        
+        this.setupEventListeners();
+    }
+    
+    /* ===========================================
+       EVENT LISTENERS SETUP
+       =========================================== */
+    
+    setupEventListeners() {
+        this.closeBtn?.addEventListener('click', () => this.close());
+        
+        this.syncToggle?.addEventListener('change', (e) => {
+            this.syncScroll = e.target.checked;
+            if (this.syncScroll) this.alignPanes(this.panes[0]);
+        });
+        
+        this.togglesContainer?.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-compare-theme]');
+            if (toggle) this.toggleTheme(toggle.dataset.compareTheme);
+        });
+        
+        this.panesContainer?.addEventListener('click', (e) => {
+            const useBtn = e.target.closest('[data-use-theme]');
+            if (useBtn) this.selectTheme(useBtn.dataset.useTheme);
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                // Mark the key as handled so the panel stays open behind the overlay
+                e.preventDefault();
+                this.close();
+            }
+        });
+    }
+    
+    /* ===========================================
+       OPEN / CLOSE
+       =========================================== */
+    
+    open() {
+        if (!this.overlay || !this.panesContainer) return;
+        
+        this.returnFocusTo = document.activeElement;
+        this.renderToggles();
+        this.renderPanes();
+        
+        this.overlay.hidden = false;
+        document.body.classList.add('comparison-open');
+        this.isOpen = true;
+        this.closeBtn?.focus();
+        
+        console.log(`🪟 Comparing styles: ${this.selectedThemes.join(', ')}`);
+    }
+    
+    close() {
+        if (!this.overlay || !this.isOpen) return;
+        
+        this.overlay.hidden = true;
+        document.body.classList.remove('comparison-open');
+        this.isOpen = false;
+        
+        // Unload the previews - three full pages are not free
+        this.panesContainer.innerHTML = '';
+        this.panes = [];
+        
+        this.returnFocusTo?.focus?.();
+        console.log('🪟 Style comparison closed');
+    }
+    
+    /* ===========================================
+       THEME SELECTION
+       =========================================== */
+    
+    // Adds or removes a theme pane; at least MIN_PANES stay visible
+    toggleTheme(themeId) {
+        const isSelected = this.selectedThemes.includes(themeId);
+        
+        if (isSelected) {
+            if (this.selectedThemes.length <= this.MIN_PANES) return;
+            this.selectedThemes = this.selectedThemes.filter(id => id !== themeId);
+        } else {
+            // Keep the panes in the same order as the theme list
+            this.selectedThemes = this.themes
+                .map(theme => theme.id)
+                .filter(id => id === themeId || this.selectedThemes.includes(id));
+        }
+        
+        this.renderToggles();
+        this.renderPanes();
+    }
+    
+    selectTheme(themeId) {
+        if (typeof this.onSelect === 'function') {
+            this.onSelect(themeId);
+        }
+        this.close();
+    }
+    
+    /* ===========================================
+       RENDERING
+       =========================================== */
+    
+    renderToggles() {
+        if (!this.togglesContainer) return;
+        
+        this.togglesContainer.innerHTML = '';
+        const atMinimum = this.selectedThemes.length <= this.MIN_PANES;
+        
+        this.themes.forEach(theme => {
+            const isSelected = this.selectedThemes.includes(theme.id);
+            
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = `comparison-toggle${isSelected ? ' active' : ''}`;
+            toggle.dataset.compareTheme = theme.id;
+            toggle.textContent = theme.label;
+            toggle.setAttribute('aria-pressed', String(isSelected));
+            toggle.disabled = isSelected && atMinimum;
+            
+            this.togglesContainer.appendChild(toggle);
+        });
+    }
+    
+    renderPanes() {
+        if (!this.panesContainer) return;
+        
+        const state = this.getState();
+        
+        this.panesContainer.innerHTML = '';
+        this.panesContainer.dataset.paneCount = this.selectedThemes.length;
+        this.panes = this.selectedThemes.map(themeId => this.createPane(themeId, state));
+        this.panes.forEach(pane => this.panesContainer.appendChild(pane.element));
+    }
+    
+    createPane(themeId, state) {
+        const label = this.themes.find(theme => theme.id === themeId)?.label || themeId;
+        
+        const element = document.createElement('section');
+        element.className = 'comparison-pane';
+        element.dataset.theme = themeId;
+        
+        const header = document.createElement('header');
+        header.className = 'comparison-pane-header';
+        
+        const title = document.createElement('span');
+        title.className = 'comparison-pane-title';
+        title.textContent = label;
+        
+        const useBtn = document.createElement('button');
+        useBtn.type = 'button';
+        useBtn.className = 'panel-action-btn';
+        useBtn.dataset.useTheme = themeId;
+        useBtn.innerHTML = '<i class="fas fa-check"></i> Use this style';
+        
+        header.append(title, useBtn);
+        
+        const iframe = document.createElement('iframe');
+        iframe.className = 'comparison-frame';
+        iframe.title = `${label} preview`;
+        iframe.loading = 'eager';
+        iframe.src = this.getPreviewUrl({ ...state, theme: themeId });
+        
+        element.append(header, iframe);
+        
+        const pane = { theme: themeId, element, iframe, ignoreScroll: false };
+        iframe.addEventListener('load', () => this.attachScrollSync(pane));
+        return pane;
+    }
+    
+    getPreviewUrl(state) {
+        if (this.storage?.buildPreviewUrl) {
+            return this.storage.buildPreviewUrl(state);
+        }
+        return `index.html?preview=1`;
+    }
+    
+    /* ===========================================
+       SYNCHRONIZED SCROLLING
+       =========================================== */
+    
+    attachScrollSync(pane) {
+        const frameWindow = this.getFrameWindow(pane);
+        if (!frameWindow) return;
+        
+        frameWindow.addEventListener('scroll', () => this.handlePaneScroll(pane), { passive: true });
+        
+        // A pane that loads late jumps to where the others already are
+        const reference = this.panes.find(other => other !== pane && this.getFrameWindow(other));
+        if (reference && this.syncScroll) {
+            this.setScrollRatio(pane, this.getScrollRatio(reference));
+        }
+    }
+    
+    handlePaneScroll(pane) {
+        // Ignore the scroll event caused by our own scrollTo()
+        if (pane.ignoreScroll) {
+            pane.ignoreScroll = false;
+            return;
+        }
+        
+        if (!this.syncScroll) return;
+        this.alignPanes(pane);
+    }
+    
+    alignPanes(sourcePane) {
+        if (!sourcePane) return;
+        
+        const ratio = this.getScrollRatio(sourcePane);
+        this.panes.forEach(pane => {
+            if (pane !== sourcePane) this.setScrollRatio(pane, ratio);
+        });
+    }
+    
+    // Scroll position as a fraction (0-1) of the scrollable height
+    getScrollRatio(pane) {
+        const frameWindow = this.getFrameWindow(pane);
+        if (!frameWindow) return 0;
+        
+        const maxScroll = frameWindow.document.documentElement.scrollHeight - frameWindow.innerHeight;
+        return maxScroll > 0 ? frameWindow.scrollY / maxScroll : 0;
+    }
+    
+    setScrollRatio(pane, ratio) {
+        const frameWindow = this.getFrameWindow(pane);
+        if (!frameWindow) return;
+        
+        const maxScroll = frameWindow.document.documentElement.scrollHeight - frameWindow.innerHeight;
+        const target = Math.round(Math.max(0, maxScroll) * ratio);
+        
+        // No scroll event fires when nothing moves, so only flag real moves
+        if (Math.abs(frameWindow.scrollY - target) < 1) return;
+        
+        pane.ignoreScroll = true;
+        // 'instant' overrides the page's smooth scrolling, which would fire a stream of events
+        frameWindow.scrollTo({ top: target, behavior: 'instant' });
+    }
+    
+    // Same-origin frames only - returns null while loading or if access is blocked
+    getFrameWindow(pane) {
+        try {
+            const frameWindow = pane.iframe.contentWindow;
+            return frameWindow && frameWindow.document ? frameWindow : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeComparison;
+}
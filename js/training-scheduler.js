@@ -0,0 +1,490 @@
+/*
+===========================================
+TRAINING SESSION SCHEDULER
+===========================================
+
+Lets visitors pick a training class (espresso basics, latte art,
+one-on-one) and then a session from an availability calendar.
+
+HOW IT WORKS:
+- Classes and sessions come from data/training-schedule.json, each
+  session with a capacity and the number of seats already booked
+- The calendar greys out days whose sessions are all full or past;
+  the session list shows the seats left and disables full/past ones
+- The picked session is held in page state (this.state) and shown in a
+  confirmation summary; "Continue" hands it to WaitlistFormHandler,
+  which sends it alongside the usual contact fields
+- After the signup is sent the seat is counted as taken for the rest
+  of the visit (the schedule file itself is maintained by hand)
+
+The schedule is loaded with fetch(), so the page has to be served over
+HTTP (e.g. `python3 -m http.server`) - browsers block fetch on file://.
+Point window.MYLOCALBARISTA_TRAINING = { scheduleUrl: '...' } at another
+file or endpoint to use a different schedule.
+
+SCHEDULE FILE SHAPE:
+{
+    "classes": [{ "id", "name", "description", "durationMinutes", "price", "format" }],
+    "slots": [{ "id", "classId", "start": "YYYY-MM-DDTHH:MM", "capacity", "booked", "location" }]
+}
+*/
+
+/* ===========================================
+   TRAINING SCHEDULER CLASS
+   =========================================== */
+
+class TrainingScheduler {
+    constructor(options = {}) {
+        // DOM elements (markup lives in index.html)
+        this.classesContainer = document.getElementById('training-classes');
+        this.calendar = document.getElementById('training-calendar');
+        this.monthTitle = document.getElementById('training-month');
+        this.prevMonthBtn = document.getElementById('training-prev-month');
+        this.nextMonthBtn = document.getElementById('training-next-month');
+        this.slotsContainer = document.getElementById('training-slots');
+        this.summary = document.getElementById('training-summary');
+        this.summaryDetails = document.getElementById('training-summary-details');
+        this.changeBtn = document.getElementById('training-change');
+        this.continueBtn = document.getElementById('training-continue');
+        this.status = document.getElementById('training-status');
+        
+        // Waitlist handler - receives the held session and submits it
+        this.handler = options.handler || window.waitlistFormHandler || null;
+        
+        const config = window.MYLOCALBARISTA_TRAINING || {};
+        this.scheduleUrl = options.scheduleUrl || config.scheduleUrl || 'data/training-schedule.json';
+        
+        // { classes: [...], slots: [...] } once loaded
+        this.schedule = null;
+        
+        // The visitor's picks; month is the first day of the month on screen
+        this.state = { classId: null, date: null, slotId: null, month: null };
+        
+        this.init();
+    }
+    
+    /* ===========================================
+       INITIALIZATION
+       =========================================== */
+    
+    async init() {
+        if (!this.calendar) return;
+        
+        this.setupEventListeners();
+        this.state.month = this.startOfMonth(new Date());
+        
+        this.schedule = await this.loadSchedule();
+        if (!this.schedule) return;
+        
+        this.renderClasses();
+        this.render();
+        
+        console.log(`🎓 Training scheduler ready (${this.schedule.slots.length} sessions)`);
+    }
+    
+    async loadSchedule() {
+        this.setStatus('Loading available sessions...');
+        
+        try {
+            const response = await fetch(this.scheduleUrl, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`Schedule request failed with ${response.status}`);
+            
+            const schedule = TrainingScheduler.normalizeSchedule(await response.json());
+            this.setStatus('');
+            return schedule;
+        } catch (error) {
+            console.warn('⚠️ Could not load the training schedule:', error);
+            this.setStatus('Sorry, the training calendar is unavailable right now. Join the waitlist below and we\'ll send you the dates.');
+            return null;
+        }
+    }
+    
+    // Drops malformed entries so one bad line doesn't break the calendar
+    static normalizeSchedule(data) {
+        const classes = (Array.isArray(data?.classes) ? data.classes : [])
+            .filter(c => c && typeof c.id === 'string' && typeof c.name === 'string');
+        
+        const classIds = new Set(classes.map(c => c.id));
+        const slots = (Array.isArray(data?.slots) ? data.slots : [])
+            .filter(slot => slot && typeof slot.id === 'string' && classIds.has(slot.classId))
+            .filter(slot => !Number.isNaN(new Date(slot.start).getTime()))
+            .map(slot => ({
+                ...slot,
+                capacity: Math.max(0, Number(slot.capacity) || 0),
+                booked: Math.max(0, Number(slot.booked) || 0)
+            }))
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+        
+        return { classes, slots };
+    }
+    
+    /* ===========================================
+       EVENT LISTENERS SETUP
+       =========================================== */
+    
+    setupEventListeners() {
+        this.classesContainer?.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-class-id]');
+            if (option) this.selectClass(option.dataset.classId);
+        });
+        
+        this.calendar.addEventListener('click', (e) => {
+            const day = e.target.closest('[data-date]');
+            if (day && !day.disabled) this.selectDate(day.dataset.date);
+        });
+        
+        this.slotsContainer?.addEventListener('click', (e) => {
+            const slotBtn = e.target.closest('[data-slot-id]');
+            if (slotBtn && !slotBtn.disabled) this.selectSlot(slotBtn.dataset.slotId);
+        });
+        
+        this.prevMonthBtn?.addEventListener('click', () => this.changeMonth(-1));
+        this.nextMonthBtn?.addEventListener('click', () => this.changeMonth(1));
+        this.changeBtn?.addEventListener('click', () => this.selectSlot(null));
+        this.continueBtn?.addEventListener('click', () => this.continueToDetails());
+    }
+    
+    /* ===========================================
+       AVAILABILITY
+       =========================================== */
+    
+    getClass(classId) {
+        return this.schedule?.classes.find(c => c.id === classId) || null;
+    }
+    
+    getSlot(slotId) {
+        return this.schedule?.slots.find(slot => slot.id === slotId) || null;
+    }
+    
+    getSpotsLeft(slot) {
+        return Math.max(0, slot.capacity - slot.booked);
+    }
+    
+    isPast(slot, now = new Date()) {
+        return new Date(slot.start) <= now;
+    }
+    
+    isAvailable(slot) {
+        return !this.isPast(slot) && this.getSpotsLeft(slot) > 0;
+    }
+    
+    // Sessions of the selected class, optionally on one day (YYYY-MM-DD)
+    getSlots(classId, dateKey = null) {
+        return (this.schedule?.slots || []).filter(slot =>
+            slot.classId === classId && (!dateKey || slot.start.slice(0, 10) === dateKey));
+    }
+    
+    /* ===========================================
+       SELECTION
+       =========================================== */
+    
+    selectClass(classId) {
+        if (!this.getClass(classId)) return;
+        
+        this.state.classId = classId;
+        this.state.date = null;
+        this.state.slotId = null;
+        
+        // Jump to the month of the next open session
+        const nextOpen = this.getSlots(classId).find(slot => this.isAvailable(slot));
+        this.state.month = this.startOfMonth(nextOpen ? new Date(nextOpen.start) : new Date());
+        
+        this.renderClasses();
+        this.render();
+    }
+    
+    selectDate(dateKey) {
+        this.state.date = dateKey;
+        this.state.slotId = null;
+        this.render();
+    }
+    
+    selectSlot(slotId) {
+        const slot = slotId ? this.getSlot(slotId) : null;
+        if (slot && !this.isAvailable(slot)) return;
+        
+        this.state.slotId = slot ? slot.id : null;
+        this.render();
+        
+        if (slot) this.continueBtn?.focus();
+    }
+    
+    changeMonth(delta) {
+        const month = new Date(this.state.month);
+        month.setMonth(month.getMonth() + delta);
+        this.state.month = month;
+        this.renderCalendar();
+    }
+    
+    // Hands the held session to the waitlist form and scrolls there
+    continueToDetails() {
+        const booking = this.getBooking();
+        if (!booking) return;
+        
+        if (!this.handler) {
+            this.setStatus('Sorry, bookings are unavailable right now. Please try again later.');
+            return;
+        }
+        
+        this.handler.setTrainingBooking(booking, {
+            onBooked: () => this.markBooked(booking.slotId),
+            onRemoved: () => this.selectSlot(null)
+        });
+        
+        const waitlist = document.getElementById('waitlist');
+        waitlist?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.handler.fields.name?.focus({ preventScroll: true });
+        
+        console.log('🎓 Training session held for checkout:', booking.slotId);
+    }
+    
+    // Everything the waitlist form needs to know about the held session
+    getBooking() {
+        const slot = this.getSlot(this.state.slotId);
+        const trainingClass = slot ? this.getClass(slot.classId) : null;
+        if (!slot || !trainingClass) return null;
+        
+        return {
+            slotId: slot.id,
+            classId: trainingClass.id,
+            className: trainingClass.name,
+            start: slot.start,
+            label: `${this.formatDate(slot.start)}, ${this.formatTimeRange(slot, trainingClass)}`,
+            location: slot.location || '',
+            price: trainingClass.price
+        };
+    }
+    
+    // Counts the seat as taken for the rest of this visit
+    markBooked(slotId) {
+        const slot = this.getSlot(slotId);
+        if (slot) slot.booked += 1;
+        
+        if (this.state.slotId === slotId) this.state.slotId = null;
+        this.render();
+    }
+    
+    /* ===========================================
+       RENDERING
+       =========================================== */
+    
+    render() {
+        this.renderCalendar();
+        this.renderSlots();
+        this.renderSummary();
+    }
+    
+    renderClasses() {
+        if (!this.classesContainer || !this.schedule) return;
+        
+        this.classesContainer.innerHTML = '';
+        
+        this.schedule.classes.forEach(trainingClass => {
+            const isSelected = trainingClass.id === this.state.classId;
+            
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = `training-class${isSelected ? ' is-selected' : ''}`;
+            option.dataset.classId = trainingClass.id;
+            option.setAttribute('role', 'radio');
+            option.setAttribute('aria-checked', String(isSelected));
+            
+            const name = document.createElement('span');
+            name.className = 'training-class-name';
+            name.textContent = trainingClass.name;
+            
+            const meta = document.createElement('span');
+            meta.className = 'training-class-meta';
+            meta.textContent = [
+                trainingClass.format,
+                trainingClass.durationMinutes ? `${trainingClass.durationMinutes / 60} h` : '',
+                trainingClass.price ? `$${trainingClass.price}` : ''
+            ].filter(Boolean).join(' · ');
+            
+            const description = document.createElement('span');
+            description.className = 'training-class-description';
+            description.textContent = trainingClass.description || '';
+            
+            option.append(name, meta, description);
+            this.classesContainer.appendChild(option);
+        });
+    }
+    
+    renderCalendar() {
+        const month = this.state.month;
+        this.monthTitle.textContent = month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        this.calendar.innerHTML = '';
+        
+        // Weekday headings (Sunday first)
+        ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(day => {
+            const heading = document.createElement('span');
+            heading.className = 'calendar-weekday';
+            heading.textContent = day;
+            this.calendar.appendChild(heading);
+        });
+        
+        // Blank cells before the 1st
+        for (let i = 0; i < month.getDay(); i++) {
+            this.calendar.appendChild(document.createElement('span'));
+        }
+        
+        const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        const todayKey = this.toDateKey(new Date());
+        
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(month.getFullYear(), month.getMonth(), day);
+            const dateKey = this.toDateKey(date);
+            const slots = this.state.classId ? this.getSlots(this.state.classId, dateKey) : [];
+            const openSlots = slots.filter(slot => this.isAvailable(slot));
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'calendar-day';
+            button.dataset.date = dateKey;
+            button.textContent = String(day);
+            button.disabled = openSlots.length === 0;
+            
+            if (slots.length > 0) {
+                button.classList.add(openSlots.length > 0 ? 'has-slots' : 'is-full');
+            }
+            if (dateKey === todayKey) button.classList.add('is-today');
+            if (dateKey === this.state.date) {
+                button.classList.add('is-selected');
+                button.setAttribute('aria-pressed', 'true');
+            }
+            
+            const dayLabel = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+            const availability = slots.length === 0
+                ? 'no sessions'
+                : openSlots.length > 0 ? `${openSlots.length} session(s) available` : 'fully booked';
+            button.setAttribute('aria-label', `${dayLabel}, ${availability}`);
+            
+            this.calendar.appendChild(button);
+        }
+        
+        // Don't page back before the current month
+        if (this.prevMonthBtn) {
+            this.prevMonthBtn.disabled = month <= this.startOfMonth(new Date());
+        }
+    }
+    
+    renderSlots() {
+        if (!this.slotsContainer) return;
+        
+        this.slotsContainer.innerHTML = '';
+        
+        if (!this.state.classId) {
+            this.slotsContainer.textContent = 'Choose a class to see available sessions.';
+            return;
+        }
+        if (!this.state.date) {
+            this.slotsContainer.textContent = 'Pick a highlighted day to see its sessions.';
+            return;
+        }
+        
+        const trainingClass = this.getClass(this.state.classId);
+        const list = document.createElement('div');
+        list.className = 'training-slot-list';
+        
+        this.getSlots(this.state.classId, this.state.date).forEach(slot => {
+            const spotsLeft = this.getSpotsLeft(slot);
+            const isPast = this.isPast(slot);
+            const isSelected = slot.id === this.state.slotId;
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `training-slot${isSelected ? ' is-selected' : ''}`;
+            button.dataset.slotId = slot.id;
+            button.disabled = !this.isAvailable(slot);
+            button.setAttribute('aria-pressed', String(isSelected));
+            
+            const time = document.createElement('span');
+            time.className = 'training-slot-time';
+            time.textContent = this.formatTimeRange(slot, trainingClass);
+            
+            const seats = document.createElement('span');
+            seats.className = 'training-slot-seats';
+            seats.textContent = isPast
+                ? 'Past'
+                : spotsLeft === 0 ? 'Full' : `${spotsLeft} of ${slot.capacity} spots left`;
+            
+            button.append(time, seats);
+            list.appendChild(button);
+        });
+        
+        this.slotsContainer.appendChild(list);
+    }
+    
+    renderSummary() {
+        if (!this.summary) return;
+        
+        const booking = this.getBooking();
+        this.summary.hidden = !booking;
+        if (!booking) return;
+        
+        const slot = this.getSlot(booking.slotId);
+        const details = [
+            ['Class', booking.className],
+            ['When', booking.label],
+            ['Where', booking.location],
+            ['Price', booking.price ? `$${booking.price}` : ''],
+            ['Seats left', String(this.getSpotsLeft(slot))]
+        ];
+        
+        this.summaryDetails.innerHTML = '';
+        details.filter(([, value]) => value).forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = term;
+            dd.textContent = value;
+            this.summaryDetails.append(dt, dd);
+        });
+    }
+    
+    setStatus(message) {
+        if (this.status) this.status.textContent = message;
+    }
+    
+    /* ===========================================
+       DATE HELPERS
+       =========================================== */
+    
+    startOfMonth(date) {
+        return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+    
+    // YYYY-MM-DD in local time
+    toDateKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    formatDate(start) {
+        return new Date(start).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    
+    formatTimeRange(slot, trainingClass) {
+        const start = new Date(slot.start);
+        const end = new Date(start.getTime() + (trainingClass?.durationMinutes || 60) * 60 * 1000);
+        const format = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        
+        return `${format(start)} - ${format(end)}`;
+    }
+}
+
+/* ===========================================
+   INITIALIZE TRAINING SCHEDULER
+   =========================================== */
+
+// Registered after form-handler.js, so window.waitlistFormHandler already exists
+document.addEventListener('DOMContentLoaded', () => {
+    window.trainingScheduler = new TrainingScheduler();
+});
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrainingScheduler;
+}
@@ -0,0 +1,525 @@
+/*
+===========================================
+WAITLIST ADMIN DASHBOARD
+===========================================
+
+Powers admin.html - a local view of the signups WaitlistFormHandler
+backs up to localStorage (the "mylocalbarista_waitlist" key), which are
+otherwise only visible in devtools.
+
+FEATURES:
+- Sortable table (click a column heading; click again to reverse)
+- Filters by interest, espresso-machine answer, ZIP prefix and date range
+- Counts per interest and per ZIP prefix for the entries shown
+- Delete single entries or clear them all (both ask for confirmation)
+- Export the entries shown as CSV or JSON, and import an exported file
+  back in without duplicating entries (see waitlist-export.js)
+- Refreshes by itself when the landing page adds a signup in another tab
+
+Only entries saved in this browser are shown; the dashboard doesn't talk
+to the submission backend. Deleting an entry doesn't forget that its email
+signed up (see mylocalbarista_signups in form-handler.js).
+*/
+
+/* ===========================================
+   WAITLIST ADMIN CLASS
+   =========================================== */
+
+class WaitlistAdmin {
+    constructor(options = {}) {
+        this.STORAGE_KEY = options.storageKey || 'mylocalbarista_waitlist';
+        
+        // DOM elements (markup lives in admin.html)
+        this.table = document.getElementById('admin-table');
+        this.tableBody = document.getElementById('admin-table-body');
+        this.emptyMessage = document.getElementById('admin-empty');
+        this.filtersForm = document.getElementById('admin-filters');
+        this.interestFilter = document.getElementById('filter-interest');
+        this.machineFilter = document.getElementById('filter-machine');
+        this.zipFilter = document.getElementById('filter-zip');
+        this.fromFilter = document.getElementById('filter-from');
+        this.toFilter = document.getElementById('filter-to');
+        this.interestCounts = document.getElementById('admin-interest-counts');
+        this.zipCounts = document.getElementById('admin-zip-counts');
+        this.shownCount = document.getElementById('admin-shown-count');
+        this.totalCount = document.getElementById('admin-total-count');
+        this.clearAllBtn = document.getElementById('admin-clear-all');
+        this.exportCSVBtn = document.getElementById('admin-export-csv');
+        this.exportJSONBtn = document.getElementById('admin-export-json');
+        this.importBtn = document.getElementById('admin-import');
+        this.importFile = document.getElementById('admin-import-file');
+        this.status = document.getElementById('admin-status');
+        
+        // CSV / JSON conversion and merging
+        this.transfer = options.transfer ||
+            (typeof WaitlistExport !== 'undefined' ? new WaitlistExport() : null);
+        
+        // Digits (or characters, for non-US codes) grouped in the ZIP prefix counts
+        this.ZIP_PREFIX_LENGTH = options.zipPrefixLength || 3;
+        
+        // [{ index, data }] - index is the position in the stored array
+        this.entries = [];
+        this.sort = { key: 'timestamp', direction: 'desc' };
+        this.filters = this.getEmptyFilters();
+        
+        this.init();
+    }
+    
+    /* ===========================================
+       INITIALIZATION
+       =========================================== */
+    
+    init() {
+        if (!this.table) return;
+        
+        this.setupEventListeners();
+        this.refresh();
+        
+        console.log(`📋 Waitlist admin loaded (${this.entries.length} entries)`);
+    }
+    
+    setupEventListeners() {
+        this.table.querySelector('thead').addEventListener('click', (e) => {
+            const sortBtn = e.target.closest('[data-sort]');
+            if (sortBtn) this.setSort(sortBtn.dataset.sort);
+        });
+        
+        this.tableBody.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('[data-delete-index]');
+            if (deleteBtn) this.deleteEntry(Number(deleteBtn.dataset.deleteIndex));
+        });
+        
+        this.filtersForm?.addEventListener('input', () => this.readFilters());
+        this.filtersForm?.addEventListener('change', () => this.readFilters());
+        this.filtersForm?.addEventListener('submit', (e) => e.preventDefault());
+        
+        // The reset event fires before the inputs are cleared
+        this.filtersForm?.addEventListener('reset', () => {
+            this.filters = this.getEmptyFilters();
+            this.render();
+        });
+        
+        this.clearAllBtn?.addEventListener('click', () => this.clearAll());
+        
+        this.exportCSVBtn?.addEventListener('click', () => this.exportCSV());
+        this.exportJSONBtn?.addEventListener('click', () => this.exportJSON());
+        this.importBtn?.addEventListener('click', () => this.importFile?.click());
+        this.importFile?.addEventListener('change', async () => {
+            const file = this.importFile.files[0];
+            if (file) await this.importEntries(file);
+            
+            // Allow importing the same file again
+            this.importFile.value = '';
+        });
+        
+        // A signup made on the landing page in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.STORAGE_KEY || e.key === null) this.refresh();
+        });
+    }
+    
+    /* ===========================================
+       STORAGE
+       =========================================== */
+    
+    loadEntries() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('⚠️ Could not read stored waitlist entries:', error);
+            return [];
+        }
+    }
+    
+    saveEntries(entries) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+            return true;
+        } catch (error) {
+            console.error('❌ Could not save waitlist entries:', error);
+            return false;
+        }
+    }
+    
+    refresh() {
+        this.entries = this.loadEntries()
+            .map((data, index) => ({ index, data }))
+            .filter(entry => entry.data && typeof entry.data === 'object');
+        
+        this.renderFilterOptions();
+        this.render();
+    }
+    
+    /* ===========================================
+       DELETING
+       =========================================== */
+    
+    deleteEntry(index) {
+        const entry = this.entries.find(e => e.index === index);
+        if (!entry) return;
+        
+        const who = entry.data.name || entry.data.email || 'this signup';
+        if (!window.confirm(`Delete the entry from ${who}? This can't be undone.`)) return;
+        
+        // Re-read storage so a signup added in another tab isn't lost;
+        // find the entry again in case the array changed since it was shown
+        const stored = this.loadEntries();
+        const snapshot = JSON.stringify(entry.data);
+        const position = JSON.stringify(stored[index]) === snapshot
+            ? index
+            : stored.findIndex(data => JSON.stringify(data) === snapshot);
+        
+        if (position === -1) {
+            console.warn('⚠️ Entry was already removed');
+        } else {
+            stored.splice(position, 1);
+            this.saveEntries(stored);
+            console.log(`🗑️ Deleted waitlist entry from ${who}`);
+        }
+        
+        this.refresh();
+    }
+    
+    clearAll() {
+        const count = this.loadEntries().length;
+        if (count === 0) return;
+        
+        const noun = count === 1 ? 'entry' : 'entries';
+        if (!window.confirm(`Delete all ${count} stored ${noun}? This can't be undone.`)) return;
+        
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+            console.log('🗑️ Cleared all stored waitlist entries');
+        } catch (error) {
+            console.error('❌ Could not clear waitlist entries:', error);
+        }
+        
+        this.refresh();
+    }
+    
+    /* ===========================================
+       EXPORT / IMPORT
+       =========================================== */
+    
+    // Exports what the table shows - filtered and in the current order
+    getExportRecords() {
+        return this.getVisibleEntries().map(entry => entry.data);
+    }
+    
+    exportCSV() {
+        if (!this.transfer) return;
+        
+        const records = this.getExportRecords();
+        this.transfer.download(this.transfer.getFilename('csv'), this.transfer.toCSV(records), 'text/csv;charset=utf-8');
+        this.setStatus(`Exported ${records.length} ${records.length === 1 ? 'entry' : 'entries'} as CSV.`);
+        console.log(`📦 Exported ${records.length} waitlist entries as CSV`);
+    }
+    
+    exportJSON() {
+        if (!this.transfer) return;
+        
+        const records = this.getExportRecords();
+        this.transfer.download(this.transfer.getFilename('json'), this.transfer.toJSON(records), 'application/json');
+        this.setStatus(`Exported ${records.length} ${records.length === 1 ? 'entry' : 'entries'} as JSON.`);
+        console.log(`📦 Exported ${records.length} waitlist entries as JSON`);
+    }
+    
+    // Merges a CSV or JSON export into the stored entries; returns the merge result or null
+    async importEntries(file) {
+        if (!this.transfer) return null;
+        
+        let incoming;
+        try {
+            incoming = this.transfer.parse(await file.text(), file.name);
+        } catch (error) {
+            console.error(`❌ Could not read ${file.name}:`, error);
+            this.setStatus(`Couldn't read ${file.name} - is it a CSV or JSON waitlist export?`, 'error');
+            return null;
+        }
+        
+        const result = this.transfer.merge(this.loadEntries(), incoming);
+        if (result.added > 0 && !this.saveEntries(result.records)) {
+            this.setStatus('The entries couldn\'t be saved - browser storage may be full.', 'error');
+            return null;
+        }
+        
+        const skipped = [
+            result.duplicates > 0 ? `${result.duplicates} already here` : '',
+            result.invalid > 0 ? `${result.invalid} without an email` : ''
+        ].filter(Boolean).join(', ');
+        
+        this.setStatus(`Imported ${result.added} ${result.added === 1 ? 'entry' : 'entries'} from ${file.name}${skipped ? ` (skipped ${skipped})` : ''}.`);
+        console.log(`📥 Imported ${result.added} waitlist entries from ${file.name}`, result);
+        
+        this.refresh();
+        return result;
+    }
+    
+    setStatus(message, type = 'info') {
+        if (!this.status) return;
+        
+        this.status.textContent = message;
+        this.status.dataset.type = type;
+    }
+    
+    /* ===========================================
+       FILTERING & SORTING
+       =========================================== */
+    
+    getEmptyFilters() {
+        return { interest: '', espresso_machine: '', zip: '', from: '', to: '' };
+    }
+    
+    readFilters() {
+        this.filters = {
+            interest: this.interestFilter?.value || '',
+            espresso_machine: this.machineFilter?.value || '',
+            zip: (this.zipFilter?.value || '').trim().toUpperCase(),
+            from: this.fromFilter?.value || '',
+            to: this.toFilter?.value || ''
+        };
+        
+        this.render();
+    }
+    
+    matchesFilters(data) {
+        const { interest, espresso_machine: machine, zip, from, to } = this.filters;
+        
+        if (interest && data.interest !== interest) return false;
+        if (machine && data.espresso_machine !== machine) return false;
+        if (zip && !String(data.zip || '').toUpperCase().startsWith(zip)) return false;
+        
+        // Date inputs give YYYY-MM-DD, compared against the local signup date
+        if (from || to) {
+            const dateKey = this.toDateKey(data.timestamp);
+            if (!dateKey) return false;
+            if (from && dateKey < from) return false;
+            if (to && dateKey > to) return false;
+        }
+        
+        return true;
+    }
+    
+    getVisibleEntries() {
+        const { key, direction } = this.sort;
+        const factor = direction === 'asc' ? 1 : -1;
+        
+        return this.entries
+            .filter(entry => this.matchesFilters(entry.data))
+            .sort((a, b) => factor * this.compareValues(key, a.data[key], b.data[key]));
+    }
+    
+    compareValues(key, a, b) {
+        if (key === 'timestamp') {
+            return (new Date(a).getTime() || 0) - (new Date(b).getTime() || 0);
+        }
+        return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+    }
+    
+    // Same column flips the direction; a new column starts ascending (dates newest first)
+    setSort(key) {
+        if (this.sort.key === key) {
+            this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sort = { key, direction: key === 'timestamp' ? 'desc' : 'asc' };
+        }
+        
+        this.render();
+    }
+    
+    /* ===========================================
+       COUNTS
+       =========================================== */
+    
+    getZipPrefix(zip) {
+        const value = String(zip || '').trim().toUpperCase();
+        return value ? value.slice(0, this.ZIP_PREFIX_LENGTH) : '';
+    }
+    
+    // [[label, count]] with the biggest groups first
+    countBy(entries, getLabel) {
+        const counts = new Map();
+        
+        entries.forEach(({ data }) => {
+            const label = getLabel(data) || 'Not given';
+            counts.set(label, (counts.get(label) || 0) + 1);
+        });
+        
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], undefined, { numeric: true }));
+    }
+    
+    /* ===========================================
+       RENDERING
+       =========================================== */
+    
+    render() {
+        const visible = this.getVisibleEntries();
+        
+        this.renderTable(visible);
+        this.renderCounts(visible);
+        this.renderSortIndicators();
+        
+        if (this.clearAllBtn) this.clearAllBtn.disabled = this.entries.length === 0;
+        if (this.exportCSVBtn) this.exportCSVBtn.disabled = visible.length === 0;
+        if (this.exportJSONBtn) this.exportJSONBtn.disabled = visible.length === 0;
+    }
+    
+    // Keeps the filter dropdowns in step with the values actually stored
+    renderFilterOptions() {
+        const fill = (select, key) => {
+            if (!select) return;
+            
+            const current = select.value;
+            const values = [...new Set(this.entries.map(({ data }) => data[key]).filter(Boolean))].sort();
+            
+            // Keep the "All ..." option
+            select.length = 1;
+            values.forEach(value => select.add(new Option(value, value)));
+            
+            select.value = values.includes(current) ? current : '';
+        };
+        
+        fill(this.interestFilter, 'interest');
+        fill(this.machineFilter, 'espresso_machine');
+        
+        // A vanished option resets its filter
+        this.filters.interest = this.interestFilter?.value || '';
+        this.filters.espresso_machine = this.machineFilter?.value || '';
+    }
+    
+    renderTable(visible) {
+        this.tableBody.innerHTML = '';
+        
+        visible.forEach(({ index, data }) => {
+            const row = document.createElement('tr');
+            
+            const cells = [
+                this.formatDate(data.timestamp),
+                data.name,
+                null, // email (link)
+                data.interest,
+                data.espresso_machine,
+                data.country && data.country !== 'US' ? `${data.zip || ''} (${data.country})` : data.zip,
+                data.submission_type
+            ];
+            
+            cells.forEach((value, i) => {
+                const cell = document.createElement('td');
+                
+                if (i === 2 && data.email) {
+                    const link = document.createElement('a');
+                    link.href = `mailto:${data.email}`;
+                    link.textContent = data.email;
+                    cell.appendChild(link);
+                } else {
+                    cell.textContent = value || '-';
+                }
+                
+                row.appendChild(cell);
+            });
+            
+            // Comments and follow-up answers on hover
+            if (data.comments) row.title = data.comments;
+            
+            const actions = document.createElement('td');
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'admin-delete';
+            deleteBtn.dataset.deleteIndex = index;
+            deleteBtn.setAttribute('aria-label', `Delete entry from ${data.name || data.email || 'unknown'}`);
+            deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+            actions.appendChild(deleteBtn);
+            row.appendChild(actions);
+            
+            this.tableBody.appendChild(row);
+        });
+        
+        if (this.emptyMessage) {
+            this.emptyMessage.hidden = visible.length > 0;
+            this.emptyMessage.textContent = this.entries.length === 0
+                ? 'No signups are stored in this browser yet.'
+                : 'No entries match these filters.';
+        }
+        
+        if (this.shownCount) this.shownCount.textContent = String(visible.length);
+        if (this.totalCount) this.totalCount.textContent = String(this.entries.length);
+    }
+    
+    renderCounts(visible) {
+        const fill = (list, counts) => {
+            if (!list) return;
+            
+            list.innerHTML = '';
+            if (counts.length === 0) {
+                const item = document.createElement('li');
+                item.className = 'admin-counts-empty';
+                item.textContent = 'No entries';
+                list.appendChild(item);
+                return;
+            }
+            
+            counts.forEach(([label, count]) => {
+                const item = document.createElement('li');
+                const name = document.createElement('span');
+                const value = document.createElement('strong');
+                name.textContent = label;
+                value.textContent = String(count);
+                item.append(name, value);
+                list.appendChild(item);
+            });
+        };
+        
+        fill(this.interestCounts, this.countBy(visible, data => data.interest));
+        fill(this.zipCounts, this.countBy(visible, data => this.getZipPrefix(data.zip)));
+    }
+    
+    renderSortIndicators() {
+        this.table.querySelectorAll('th').forEach(th => {
+            const key = th.querySelector('[data-sort]')?.dataset.sort;
+            
+            if (key && key === this.sort.key) {
+                th.setAttribute('aria-sort', this.sort.direction === 'asc' ? 'ascending' : 'descending');
+            } else {
+                th.removeAttribute('aria-sort');
+            }
+        });
+    }
+    
+    /* ===========================================
+       DATE HELPERS
+       =========================================== */
+    
+    // YYYY-MM-DD in local time, or '' for a missing/invalid timestamp
+    toDateKey(timestamp) {
+        const date = new Date(timestamp);
+        if (!timestamp || Number.isNaN(date.getTime())) return '';
+        
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        if (!timestamp || Number.isNaN(date.getTime())) return '';
+        
+        return date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    }
+}
+
+/* ===========================================
+   INITIALIZE WAITLIST ADMIN
+   =========================================== */
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.waitlistAdmin = new WaitlistAdmin();
+});
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaitlistAdmin;
+}
@@ -0,0 +1,250 @@
+/*
+===========================================
+WAITLIST EXPORT / IMPORT
+===========================================
+
+Converts the stored waitlist records (as built by
+WaitlistFormHandler.collectFormData and saved by storeFormDataLocally)
+into files for spreadsheets and backups, and reads them back in:
+- CSV following RFC 4180: comma separated, CRLF line breaks, and any
+  field containing a comma, quote or line break wrapped in double quotes
+  with inner quotes doubled - so multi-line comments survive the trip
+- JSON: the same array that lives in localStorage, pretty-printed
+
+COLUMNS:
+The known fields come first in a fixed order (see WaitlistExport.COLUMNS);
+any other keys found in the records are appended after them, so nothing
+is dropped. Every CSV value comes back as a string, and empty extra
+columns are skipped on import.
+
+IMPORTING:
+merge() adds imported records to the existing ones, skipping any record
+whose email (case-insensitive) and timestamp match one already there -
+re-importing the same file never creates duplicates.
+*/
+
+/* ===========================================
+   WAITLIST EXPORT CLASS
+   =========================================== */
+
+class WaitlistExport {
+    constructor() {
+        // Excel only reads UTF-8 CSV correctly with a byte order mark
+        this.BOM = '\uFEFF';
+    }
+    
+    /* ===========================================
+       CSV
+       =========================================== */
+    
+    // Known columns first, then any extra keys in order of first appearance
+    getColumns(records) {
+        const columns = [...WaitlistExport.COLUMNS];
+        
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+        });
+        
+        return columns;
+    }
+    
+    escapeCSVField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    toCSV(records) {
+        const columns = this.getColumns(records);
+        const lines = [columns, ...records.map(record => columns.map(column => record[column]))]
+            .map(fields => fields.map(field => this.escapeCSVField(field)).join(','));
+        
+        return this.BOM + lines.join('\r\n') + '\r\n';
+    }
+    
+    // Returns the rows as arrays of strings; throws on an unterminated quote
+    parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = text.startsWith(this.BOM) ? 1 : 0;
+        
+        for (; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                // CRLF (the standard) and bare LF both end a record
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (inQuotes) throw new Error('Unterminated quoted field');
+        
+        // Last record without a trailing line break
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        // Skip blank lines
+        return rows.filter(r => r.length > 1 || r[0] !== '');
+    }
+    
+    // Records keyed by the header row. Empty extra columns are left out,
+    // so a signup without (say) training fields comes back without them
+    fromCSV(text) {
+        const [header, ...rows] = this.parseCSVRows(text);
+        if (!header) return [];
+        
+        const columns = header.map(column => column.trim());
+        
+        return rows.map(fields => {
+            const record = {};
+            columns.forEach((column, index) => {
+                const value = fields[index] ?? '';
+                if (!column || (value === '' && !WaitlistExport.COLUMNS.includes(column))) return;
+                record[column] = value;
+            });
+            return record;
+        });
+    }
+    
+    /* ===========================================
+       JSON
+       =========================================== */
+    
+    toJSON(records) {
+        return JSON.stringify(records, null, 2);
+    }
+    
+    fromJSON(text) {
+        const data = JSON.parse(text.startsWith(this.BOM) ? text.slice(1) : text);
+        if (!Array.isArray(data)) throw new Error('Expected an array of waitlist records');
+        return data;
+    }
+    
+    // Picks the parser from the file name, falling back to sniffing the content
+    parse(text, filename = '') {
+        const isJSON = /\.json$/i.test(filename) ||
+            (!/\.csv$/i.test(filename) && /^\s*\[/.test(text.replace(this.BOM, '')));
+        
+        return isJSON ? this.fromJSON(text) : this.fromCSV(text);
+    }
+    
+    /* ===========================================
+       MERGING
+       =========================================== */
+    
+    // Records with the same email (any case) and timestamp are the same signup
+    getRecordKey(record) {
+        return `${String(record.email || '').trim().toLowerCase()}|${String(record.timestamp || '').trim()}`;
+    }
+    
+    isValidRecord(record) {
+        return Boolean(record) && typeof record === 'object' && !Array.isArray(record) &&
+            typeof record.email === 'string' && record.email.trim() !== '';
+    }
+    
+    // { records, added, duplicates, invalid } - existing records are kept as they are
+    merge(existing, incoming) {
+        const records = [...existing];
+        const seen = new Set(existing.filter(r => r && typeof r === 'object').map(r => this.getRecordKey(r)));
+        const result = { records, added: 0, duplicates: 0, invalid: 0 };
+        
+        incoming.forEach(record => {
+            if (!this.isValidRecord(record)) {
+                result.invalid++;
+                return;
+            }
+            
+            const key = this.getRecordKey(record);
+            if (seen.has(key)) {
+                result.duplicates++;
+                return;
+            }
+            
+            seen.add(key);
+            records.push(record);
+            result.added++;
+        });
+        
+        return result;
+    }
+    
+    /* ===========================================
+       FILE HELPERS
+       =========================================== */
+    
+    // e.g. mylocalbarista-waitlist-2026-10-19.csv
+    getFilename(extension, date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return `mylocalbarista-waitlist-${day}.${extension}`;
+    }
+    
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/* ===========================================
+   COLUMN ORDER
+   =========================================== */
+
+// Fields every signup has; follow-up, event, training and service fields
+// come after these as extra columns
+WaitlistExport.COLUMNS = [
+    'timestamp',
+    'submission_type',
+    'name',
+    'email',
+    'country',
+    'zip',
+    'interest',
+    'espresso_machine',
+    'comments',
+    'service_area',
+    'service_area_center',
+    'source'
+];
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaitlistExport;
+}
@@ -0,0 +1,116 @@
+/*
+===========================================
+ZIP CODE COORDINATES DATASET
+===========================================
+
+Approximate center points (latitude, longitude) of the US ZIP codes in
+and around the metro areas MyLocalBarista serves, used by
+service-area.js to measure how far a visitor is from a service center.
+
+Bundled as a script rather than a .json file so the lookup also works
+when index.html is opened straight from disk (file:// blocks fetch).
+
+ZIP codes that are not listed here get the 'unknown' service-area status
+(the form says it will check rather than turning the visitor away).
+When adding a new service center, add its ZIP codes (and those of
+the surrounding towns) here as well.
+
+FORMAT:
+    '<5-digit ZIP>': [latitude, longitude]
+*/
+
+const ZIP_COORDINATES = {
+    /* === SEATTLE, WA === */
+    '98101': [47.6105, -122.3348],
+    '98102': [47.6302, -122.3215],
+    '98103': [47.6733, -122.3426],
+    '98104': [47.6036, -122.3256],
+    '98105': [47.6606, -122.2850],
+    '98107': [47.6685, -122.3765],
+    '98109': [47.6300, -122.3446],
+    '98112': [47.6299, -122.2970],
+    '98115': [47.6855, -122.2820],
+    '98116': [47.5746, -122.3965],
+    '98117': [47.6890, -122.3800],
+    '98118': [47.5434, -122.2715],
+    '98119': [47.6378, -122.3680],
+    '98121': [47.6152, -122.3447],
+    '98122': [47.6116, -122.3050],
+    '98125': [47.7170, -122.3030],
+    '98126': [47.5440, -122.3730],
+    '98133': [47.7400, -122.3430],
+    '98144': [47.5846, -122.2990],
+    '98199': [47.6480, -122.3970],
+    '98004': [47.6180, -122.2060], // Bellevue
+    '98033': [47.6769, -122.2060], // Kirkland
+    '98052': [47.6810, -122.1210], // Redmond
+    '98027': [47.5300, -122.0320], // Issaquah
+    '98055': [47.4480, -122.2050], // Renton
+    '98188': [47.4480, -122.2780], // SeaTac
+    '98201': [47.9880, -122.2010], // Everett
+    '98402': [47.2530, -122.4430], // Tacoma
+    '98501': [47.0380, -122.8990], // Olympia
+    '98225': [48.7540, -122.4780], // Bellingham
+    '99201': [47.6640, -117.4360], // Spokane
+    
+    /* === PORTLAND, OR === */
+    '97201': [45.5080, -122.6900],
+    '97202': [45.4830, -122.6440],
+    '97203': [45.5900, -122.7490],
+    '97204': [45.5180, -122.6740],
+    '97205': [45.5200, -122.6880],
+    '97206': [45.4820, -122.6000],
+    '97209': [45.5310, -122.6840],
+    '97210': [45.5440, -122.7260],
+    '97211': [45.5650, -122.6450],
+    '97212': [45.5440, -122.6440],
+    '97213': [45.5380, -122.6000],
+    '97214': [45.5140, -122.6430],
+    '97215': [45.5150, -122.6010],
+    '97217': [45.5880, -122.6930],
+    '97219': [45.4550, -122.7000],
+    '97232': [45.5290, -122.6440],
+    '97005': [45.4910, -122.8040], // Beaverton
+    '97124': [45.5370, -122.9380], // Hillsboro
+    '97223': [45.4400, -122.7770], // Tigard
+    '98660': [45.6400, -122.6900], // Vancouver, WA
+    '97301': [44.9290, -122.9990], // Salem
+    '97401': [44.0500, -123.0900], // Eugene
+    
+    /* === AUSTIN, TX === */
+    '78701': [30.2710, -97.7420],
+    '78702': [30.2640, -97.7140],
+    '78703': [30.2930, -97.7650],
+    '78704': [30.2430, -97.7660],
+    '78705': [30.2940, -97.7390],
+    '78721': [30.2700, -97.6830],
+    '78722': [30.2890, -97.7150],
+    '78723': [30.3050, -97.6860],
+    '78731': [30.3470, -97.7680],
+    '78741': [30.2310, -97.7220],
+    '78745': [30.2070, -97.7960],
+    '78751': [30.3100, -97.7230],
+    '78752': [30.3320, -97.7000],
+    '78756': [30.3220, -97.7390],
+    '78757': [30.3510, -97.7330],
+    '78758': [30.3880, -97.7070],
+    '78664': [30.5150, -97.6700], // Round Rock
+    '78613': [30.5050, -97.8200], // Cedar Park
+    '78660': [30.4440, -97.5960], // Pflugerville
+    '78626': [30.6480, -97.6770], // Georgetown
+    '78666': [29.8830, -97.9410], // San Marcos
+    '78201': [29.4680, -98.5270]  // San Antonio
+};
+
+// A dataset set up before this script (e.g. a fuller one) wins
+if (typeof window !== 'undefined') {
+    window.MYLOCALBARISTA_ZIP_COORDINATES = window.MYLOCALBARISTA_ZIP_COORDINATES || ZIP_COORDINATES;
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE (if needed)
+   =========================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZIP_COORDINATES;
+}
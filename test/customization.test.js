@@ -0,0 +1,285 @@
+/*
+===========================================
+CUSTOMIZATION CONTROLLER TESTS
+===========================================
+
+Runs CustomizationController (js/customization.js) on the real index.html
+in jsdom: presets, reading and writing the colors, and switching the theme
+stylesheet - including a stylesheet that fails to load. The theme files
+are served from the repository, so a missing one errors like it would in
+the browser.
+
+Run with: npm test
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers/load-page');
+
+const STORAGE_KEY = 'mylocalbarista_customization';
+
+/* ===========================================
+   HELPERS
+   =========================================== */
+
+function cssVariable(window, name) {
+    return window.document.documentElement.style.getPropertyValue(name);
+}
+
+function savedState(window) {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+}
+
+function themeLinks(window) {
+    return Array.from(window.document.querySelectorAll('link#style-theme'));
+}
+
+/* ===========================================
+   PRESETS
+   =========================================== */
+
+describe('CustomizationController.applyPreset', () => {
+    let dom;
+    let controller;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        controller = dom.window.customizationController;
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    it('applies every built-in preset to the pickers, CSS variables and saved state', () => {
+        const presets = controller.presets.getBuiltIns();
+        assert.ok(presets.length >= 4);
+        
+        presets.forEach(preset => {
+            controller.applyPreset(preset.id);
+            const colors = controller.getCurrentColors();
+            
+            ['primary', 'secondary', 'accent'].forEach(key => {
+                assert.equal(colors[key].toUpperCase(), preset[key].toUpperCase(), `${preset.id} ${key}`);
+                assert.equal(cssVariable(dom.window, `--${key}-color`).toUpperCase(), preset[key].toUpperCase());
+                assert.equal(savedState(dom.window)[key], preset[key].toUpperCase());
+            });
+        });
+    });
+    
+    it('publishes the tonal scale of the preset colors', () => {
+        controller.applyPreset('earthy');
+        
+        ['50', '500', '900'].forEach(step => {
+            assert.match(cssVariable(dom.window, `--primary-${step}`), /^#[0-9a-f]{6}$/i);
+        });
+        assert.notEqual(cssVariable(dom.window, '--primary-50'), cssVariable(dom.window, '--primary-900'));
+    });
+    
+    it('leaves the colors alone for an unknown preset', () => {
+        const before = controller.getCurrentColors();
+        controller.applyPreset('does-not-exist');
+        
+        assert.deepEqual(controller.getCurrentColors(), before);
+        assert.equal(controller.history.canUndo(), false);
+    });
+    
+    it('is undone in one step', () => {
+        const before = controller.getCurrentColors();
+        controller.applyPreset('luxe');
+        controller.undo();
+        
+        assert.deepEqual(controller.getCurrentColors(), before);
+    });
+    
+    it('applies presets saved by the visitor', () => {
+        controller.setColors({ primary: '#123456', secondary: '#654321', accent: '#ABCDEF' });
+        const preset = controller.saveCurrentAsPreset('My Colors');
+        controller.applyPreset('coffee');
+        
+        controller.applyPreset(preset.id);
+        
+        assert.equal(controller.getCurrentColors().primary.toUpperCase(), '#123456');
+        assert.equal(controller.getCurrentColors().accent.toUpperCase(), '#ABCDEF');
+    });
+});
+
+/* ===========================================
+   COLORS
+   =========================================== */
+
+describe('CustomizationController.setColors / getCurrentColors', () => {
+    let dom;
+    let controller;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        controller = dom.window.customizationController;
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    it('reads back exactly what was set', () => {
+        const colors = { primary: '#1d4ed8', secondary: '#be185d', accent: '#fef9c3', roundedness: '16' };
+        controller.setColors(colors);
+        
+        assert.deepEqual({ ...controller.getCurrentColors() }, colors);
+        assert.equal(cssVariable(dom.window, '--primary-color'), '#1d4ed8');
+        assert.equal(cssVariable(dom.window, '--border-radius-base'), '16px');
+    });
+    
+    it('can feed getCurrentColors straight back into setColors', () => {
+        controller.applyPreset('modern');
+        const colors = controller.getCurrentColors();
+        
+        controller.setColors({ primary: '#000000', secondary: '#111111', accent: '#222222', roundedness: 4 });
+        controller.setColors(colors);
+        
+        assert.deepEqual(controller.getCurrentColors(), colors);
+    });
+    
+    it('keeps a roundedness of 0', () => {
+        controller.setColors({ roundedness: 0 });
+        
+        assert.equal(controller.getCurrentColors().roundedness, '0');
+        assert.equal(cssVariable(dom.window, '--border-radius-base'), '0px');
+        assert.equal(savedState(dom.window).roundedness, 0);
+    });
+    
+    it('only changes the colors it is given', () => {
+        controller.setColors({ primary: '#1d4ed8', secondary: '#be185d', accent: '#fef9c3', roundedness: 8 });
+        controller.setColors({ secondary: '#15803d' });
+        
+        assert.deepEqual({ ...controller.getCurrentColors() }, {
+            primary: '#1d4ed8',
+            secondary: '#15803d',
+            accent: '#fef9c3',
+            roundedness: '8'
+        });
+    });
+    
+    it('restores the saved colors on the next visit', async () => {
+        const colors = { primary: '#1d4ed8', secondary: '#be185d', accent: '#fef9c3', roundedness: '20' };
+        controller.setColors(colors);
+        const saved = dom.window.localStorage.getItem(STORAGE_KEY);
+        
+        const reloaded = await loadPage({
+            beforeParse(window) {
+                window.localStorage.setItem(STORAGE_KEY, saved);
+            }
+        });
+        
+        try {
+            assert.deepEqual({ ...reloaded.window.customizationController.getCurrentColors() }, colors);
+        } finally {
+            reloaded.window.close();
+        }
+    });
+});
+
+/* ===========================================
+   THEME SWITCHING
+   =========================================== */
+
+describe('CustomizationController.switchTheme', () => {
+    let dom;
+    let controller;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        controller = dom.window.customizationController;
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    it('starts on the theme in the page', () => {
+        assert.equal(controller.currentTheme, 'classic');
+        assert.equal(themeLinks(dom.window).length, 1);
+    });
+    
+    it('swaps the stylesheet once the new theme has loaded', async () => {
+        controller.switchTheme('modern');
+        
+        // Both stylesheets are in the page until the new one has loaded
+        assert.ok(dom.window.document.body.classList.contains('theme-transitioning'));
+        assert.equal(controller.currentTheme, 'classic');
+        
+        await waitFor(() => controller.currentTheme === 'modern');
+        
+        const links = themeLinks(dom.window);
+        assert.equal(links.length, 1);
+        assert.equal(links[0].getAttribute('href'), 'css/style-modern.css');
+        assert.equal(savedState(dom.window).theme, 'modern');
+        assert.equal(controller.history.canUndo(), true);
+        
+        await waitFor(() => !dom.window.document.body.classList.contains('theme-transitioning'));
+    });
+    
+    it('keeps the current theme when the stylesheet fails to load', async () => {
+        const selector = dom.window.document.getElementById('theme-selector');
+        selector.value = 'missing';
+        controller.switchTheme('missing');
+        
+        await waitFor(() => selector.value === 'classic');
+        
+        const links = themeLinks(dom.window);
+        assert.equal(links.length, 1);
+        assert.equal(links[0].getAttribute('href'), 'css/style-classic.css');
+        assert.equal(controller.currentTheme, 'classic');
+        assert.ok(!dom.window.document.body.classList.contains('theme-transitioning'));
+        assert.equal(savedState(dom.window), null);
+        assert.equal(controller.history.canUndo(), false);
+    });
+    
+    it('ignores the theme already in use and empty values', () => {
+        controller.switchTheme('classic');
+        controller.switchTheme('');
+        controller.switchTheme(null);
+        
+        assert.equal(themeLinks(dom.window).length, 1);
+        assert.ok(!dom.window.document.body.classList.contains('theme-transitioning'));
+    });
+    
+    it('follows the theme selector', async () => {
+        const selector = dom.window.document.getElementById('theme-selector');
+        selector.value = 'warm';
+        selector.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+        
+        await waitFor(() => controller.currentTheme === 'warm');
+        assert.equal(themeLinks(dom.window)[0].getAttribute('href'), 'css/style-warm.css');
+    });
+});
+
+/* ===========================================
+   TOKEN IMPORT
+   =========================================== */
+
+describe('CustomizationController token import', () => {
+    let dom;
+    let controller;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        controller = dom.window.customizationController;
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    // Stands in for a File picked in the import dialog
+    function pickFile(file) {
+        Object.defineProperty(controller.importTokensInput, 'files', { value: [file], configurable: true });
+        controller.importTokensInput.dispatchEvent(new dom.window.Event('change'));
+    }
+    
+    it('shows "Invalid File" when the picked file cannot be read', async () => {
+        pickFile({ name: 'tokens.json', text: () => Promise.reject(new Error('File could not be read')) });
+        
+        await waitFor(() => controller.importTokensBtn.innerHTML.includes('Invalid File'));
+    });
+    
+    it('applies the colors from a valid token file', async () => {
+        const tokens = controller.designTokens.toTokensJSON({ ...controller.getState(), primary: '#1D4ED8' });
+        pickFile({ name: 'tokens.json', text: async () => tokens });
+        
+        await waitFor(() => controller.importTokensBtn.innerHTML.includes('Imported!'));
+        assert.equal(controller.getCurrentColors().primary.toUpperCase(), '#1D4ED8');
+    });
+});
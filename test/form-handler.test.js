@@ -0,0 +1,637 @@
+/*
+===========================================
+WAITLIST FORM HANDLER TESTS
+===========================================
+
+Runs WaitlistFormHandler (js/form-handler.js) on the real index.html in
+jsdom: field validation, the form data sent to Google Forms, and what the
+visitor sees when a submission succeeds, fails or has to wait in the
+outbox. fetch is stubbed per test, so nothing leaves the machine.
+
+Run with: npm test
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor } = require('./helpers/load-page');
+
+/* ===========================================
+   HELPERS
+   =========================================== */
+
+// Local YYYY-MM-DD, offset by a number of days from today
+function isoDate(offsetDays = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function errorText(field) {
+    return field.closest('.form-group')?.querySelector('.field-error')?.textContent || '';
+}
+
+// Fills in a valid waitlist signup and picks the given answers
+function fillForm(window, { interest = 'all', espressoMachine = 'yes', ...values } = {}) {
+    const { document } = window;
+    const fields = { name: 'Jo Barista', email: 'jo@example.com', zip: '98101', comments: '', ...values };
+    
+    Object.entries(fields).forEach(([id, value]) => {
+        document.getElementById(id).value = value;
+    });
+    
+    const interestSelect = document.getElementById('interest');
+    interestSelect.value = interest;
+    interestSelect.dispatchEvent(new window.Event('change', { bubbles: true }));
+    
+    const radio = document.querySelector(`input[name="espresso_machine"][value="${espressoMachine}"]`);
+    radio.checked = true;
+    radio.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+/* ===========================================
+   FIELD VALIDATION
+   =========================================== */
+
+describe('WaitlistFormHandler.validateField', () => {
+    let dom;
+    let handler;
+    let field;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        handler = dom.window.waitlistFormHandler;
+        field = (id) => dom.window.document.getElementById(id);
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    it('treats a missing field as valid', () => {
+        assert.equal(handler.validateField(null), true);
+        assert.equal(handler.validateField(undefined), true);
+    });
+    
+    it('rejects empty and whitespace-only required fields', () => {
+        field('name').value = '';
+        assert.equal(handler.validateField(field('name')), false);
+        assert.equal(errorText(field('name')), 'This field is required');
+        
+        field('name').value = '    ';
+        assert.equal(handler.validateField(field('name')), false);
+        assert.equal(errorText(field('name')), 'This field is required');
+    });
+    
+    it('shows one error per field and clears it once the value is valid', () => {
+        field('name').value = '';
+        handler.validateField(field('name'));
+        handler.validateField(field('name'));
+        
+        const group = field('name').closest('.form-group');
+        assert.equal(group.querySelectorAll('.field-error').length, 1);
+        assert.ok(field('name').classList.contains('error'));
+        
+        field('name').value = 'Jo';
+        assert.equal(handler.validateField(field('name')), true);
+        assert.equal(group.querySelectorAll('.field-error').length, 0);
+        assert.ok(!field('name').classList.contains('error'));
+    });
+    
+    it('needs names of at least two characters, ignoring surrounding spaces', () => {
+        field('name').value = ' J ';
+        assert.equal(handler.validateField(field('name')), false);
+        assert.equal(errorText(field('name')), 'Name must be at least 2 characters long');
+        
+        field('name').value = 'Jo';
+        assert.equal(handler.validateField(field('name')), true);
+    });
+    
+    it('checks the email format', () => {
+        ['plainaddress', 'jo@example', '@example.com', 'jo @example.com', 'jo@exa mple.com'].forEach(email => {
+            field('email').value = email;
+            assert.equal(handler.validateField(field('email')), false, email);
+            assert.equal(errorText(field('email')), 'Please enter a valid email address');
+        });
+        
+        ['jo@example.com', 'jo.barista+waitlist@mail.example.co.uk', '  jo@example.com  '].forEach(email => {
+            field('email').value = email;
+            assert.equal(handler.validateField(field('email')), true, email);
+        });
+    });
+    
+    it('validates ZIP codes for the selected country', () => {
+        ['98101', '98101-1234'].forEach(zip => {
+            field('zip').value = zip;
+            assert.equal(handler.validateField(field('zip')), true, zip);
+        });
+        
+        ['9810', '981011', 'ABCDE', '98101-12'].forEach(zip => {
+            field('zip').value = zip;
+            assert.equal(handler.validateField(field('zip')), false, zip);
+            assert.notEqual(errorText(field('zip')), '');
+        });
+    });
+    
+    it('normalizes a valid postal code to its official format', () => {
+        field('country').value = 'CA';
+        field('zip').value = 'k1a0b1';
+        
+        assert.equal(handler.validateField(field('zip')), true);
+        assert.equal(field('zip').value, 'K1A 0B1');
+    });
+    
+    it('skips disabled follow-up fields and clears their errors', () => {
+        const skillLevel = field('skill-level');
+        skillLevel.disabled = false;
+        assert.equal(handler.validateField(skillLevel), false);
+        
+        skillLevel.disabled = true;
+        assert.equal(handler.validateField(skillLevel), true);
+        assert.equal(errorText(skillLevel), '');
+    });
+    
+    it('only accepts whole guest counts within the min and max', () => {
+        const guestCount = field('guest-count');
+        guestCount.disabled = false;
+        
+        ['0', '501', '2.5', '-3'].forEach(count => {
+            guestCount.value = count;
+            assert.equal(handler.validateField(guestCount), false, count);
+            assert.equal(errorText(guestCount), 'Please enter a whole number between 1 and 500');
+        });
+        
+        ['1', '40', '500'].forEach(count => {
+            guestCount.value = count;
+            assert.equal(handler.validateField(guestCount), true, count);
+        });
+    });
+    
+    it('rejects event dates in the past but accepts today', () => {
+        const eventDate = field('event-date');
+        eventDate.disabled = false;
+        
+        eventDate.value = isoDate(-1);
+        assert.equal(handler.validateField(eventDate), false);
+        assert.equal(errorText(eventDate), 'Please choose a date in the future');
+        
+        eventDate.value = isoDate(0);
+        assert.equal(handler.validateField(eventDate), true);
+        
+        eventDate.value = isoDate(30);
+        assert.equal(handler.validateField(eventDate), true);
+    });
+});
+
+/* ===========================================
+   FORM DATA
+   =========================================== */
+
+describe('WaitlistFormHandler.collectFormData', () => {
+    let dom;
+    let handler;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        handler = dom.window.waitlistFormHandler;
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    it('maps every interest option to the Google Form text', () => {
+        const expected = {
+            'training': 'Training - Learn espresso & latte art',
+            'events': 'Events - Barista for gatherings',
+            'machine-help': 'Machine Help - Equipment maintenance',
+            'all': 'All services interest me'
+        };
+        
+        Object.entries(expected).forEach(([value, text]) => {
+            fillForm(dom.window, { interest: value });
+            assert.equal(handler.collectFormData().interest, text);
+        });
+    });
+    
+    it('maps every espresso machine answer to the Google Form text', () => {
+        const expected = {
+            yes: 'Yes, I have an espresso machine',
+            no: 'No, but I\'m interested in getting one',
+            considering: 'I\'m considering purchasing one'
+        };
+        
+        Object.entries(expected).forEach(([value, text]) => {
+            fillForm(dom.window, { espressoMachine: value });
+            assert.equal(handler.collectFormData().espresso_machine, text);
+        });
+    });
+    
+    it('leaves unanswered questions empty', () => {
+        const formData = handler.collectFormData();
+        
+        assert.equal(formData.interest, '');
+        assert.equal(formData.espresso_machine, '');
+    });
+    
+    it('trims the text fields and adds the submission metadata', () => {
+        fillForm(dom.window, { name: '  Jo Barista ', email: ' jo@example.com ', zip: ' 98101 ', comments: '  Oat milk please  ' });
+        const formData = handler.collectFormData();
+        
+        assert.equal(formData.name, 'Jo Barista');
+        assert.equal(formData.email, 'jo@example.com');
+        assert.equal(formData.zip, '98101');
+        assert.equal(formData.comments, 'Oat milk please');
+        assert.equal(formData.country, 'US');
+        assert.equal(formData.submission_type, 'new');
+        assert.equal(formData.source, 'MyLocalBarista Landing Page');
+        assert.ok(!Number.isNaN(Date.parse(formData.timestamp)));
+    });
+    
+    it('sends the visible follow-up answers only, using the option text', () => {
+        fillForm(dom.window, { interest: 'training', espressoMachine: 'considering' });
+        dom.window.document.getElementById('skill-level').value = 'beginner';
+        
+        const formData = handler.collectFormData();
+        
+        assert.equal(formData.skill_level, 'Beginner - I\'ve never pulled a shot');
+        assert.ok('machine_budget' in formData);
+        assert.ok(!('guest_count' in formData));
+        assert.ok(!('machine_issue' in formData));
+    });
+    
+    it('only sends fields that have a Google Form entry ID', () => {
+        fillForm(dom.window, { comments: 'Hello' });
+        
+        const adapter = handler.submissionAdapter;
+        const body = adapter.buildBody(handler.collectFormData());
+        const entryIds = Object.values(handler.GOOGLE_FORM_ENTRIES).filter(Boolean);
+        
+        assert.deepEqual([...body.keys()].sort(), [...entryIds].sort());
+        assert.equal(body.get(handler.GOOGLE_FORM_ENTRIES.name), 'Jo Barista');
+        assert.equal(body.get(handler.GOOGLE_FORM_ENTRIES.interest), 'All services interest me');
+        assert.equal(body.get(handler.GOOGLE_FORM_ENTRIES.comments), 'Hello');
+    });
+    
+    it('carries the country and follow-up answers to the Google Form in the comments', () => {
+        const { document } = dom.window;
+        document.getElementById('country').value = 'CA';
+        fillForm(dom.window, { interest: 'training', espressoMachine: 'yes', zip: 'K1A 0B1', comments: 'Hello' });
+        document.getElementById('skill-level').value = 'home';
+        document.getElementById('machine-brand').value = 'Gaggia';
+        
+        const body = handler.submissionAdapter.buildBody(handler.collectFormData());
+        
+        assert.equal(
+            body.get(handler.GOOGLE_FORM_ENTRIES.comments),
+            '[DETAILS: Country: Canada; Current Skill Level: Home barista - I make espresso at home; Machine Brand: Gaggia] Hello'
+        );
+    });
+    
+    it('notes the troubleshooter diagnosis and answers in the comments', () => {
+        fillForm(dom.window, { comments: 'Hello' });
+        handler.setServiceRequest({
+            machineType: 'Semi-automatic',
+            symptom: 'No steam',
+            diagnosis: 'Steam boiler fault',
+            issue: 'repair',
+            answers: [
+                { question: 'Does the machine heat up?', answer: 'Yes' },
+                { question: 'Does the steam light come on?', answer: 'No' }
+            ]
+        });
+        
+        const formData = handler.collectFormData();
+        
+        assert.equal(formData.service_answers, 'Does the machine heat up? - Yes | Does the steam light come on? - No');
+        assert.match(
+            formData.comments,
+            /^\[SERVICE REQUEST: Semi-automatic, No steam - Steam boiler fault \(Does the machine heat up\? - Yes \| Does the steam light come on\? - No\)\] /
+        );
+        assert.match(formData.comments, / Hello$/);
+    });
+    
+    it('adds nothing to the comments of a US signup without follow-up answers', () => {
+        fillForm(dom.window, { comments: 'Hello' });
+        
+        assert.equal(handler.collectFormData().comments, 'Hello');
+    });
+});
+
+/* ===========================================
+   SERVICE AREA
+   =========================================== */
+
+describe('WaitlistFormHandler service-area notice', () => {
+    let dom;
+    let handler;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        handler = dom.window.waitlistFormHandler;
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    function enterZip(zip, country = 'US') {
+        const { document } = dom.window;
+        document.getElementById('country').value = country;
+        document.getElementById('zip').value = zip;
+        document.getElementById('zip').dispatchEvent(new dom.window.Event('blur'));
+        return document.querySelector('.service-area-notice');
+    }
+    
+    it('confirms a ZIP code inside a service area', () => {
+        const notice = enterZip('98101');
+        
+        assert.equal(notice.dataset.status, 'in');
+        assert.match(notice.textContent, /Seattle service area/);
+        assert.equal(handler.getServiceAreaFields().service_area, 'in');
+    });
+    
+    it('does not turn away a valid ZIP code missing from the dataset', () => {
+        const notice = enterZip('78759');
+        
+        assert.equal(notice.dataset.status, 'unknown');
+        assert.match(notice.textContent, /check whether we cover your area/);
+        assert.doesNotMatch(notice.textContent, /don't serve/);
+        assert.deepEqual({ ...handler.getServiceAreaFields() }, { service_area: 'unknown', service_area_center: '' });
+    });
+    
+    it('reports postal codes outside the US as outside the service area', () => {
+        const notice = enterZip('K1A 0B1', 'CA');
+        
+        assert.equal(notice.dataset.status, 'outside');
+    });
+});
+
+/* ===========================================
+   SUBMISSION
+   =========================================== */
+
+describe('WaitlistFormHandler submission', () => {
+    let dom;
+    let handler;
+    let requests;
+    
+    // Single-page form, and every fetch recorded and answered by respond()
+    async function setup(respond, config = {}) {
+        requests = [];
+        dom = await loadPage({
+            beforeParse(window) {
+                window.MYLOCALBARISTA_FORM = { mode: 'single' };
+                if (config.submission) window.MYLOCALBARISTA_SUBMISSION = config.submission;
+            }
+        });
+        
+        dom.window.fetch = async (url, options = {}) => {
+            requests.push({ url: String(url), options });
+            return respond(url, options);
+        };
+        
+        handler = dom.window.waitlistFormHandler;
+    }
+    
+    function submit() {
+        dom.window.document.getElementById('waitlist-form').requestSubmit();
+    }
+    
+    function stored(key) {
+        return JSON.parse(dom.window.localStorage.getItem(key) || 'null');
+    }
+    
+    function overlayTitle() {
+        const titles = dom.window.document.querySelectorAll('.success-overlay h3');
+        return titles[titles.length - 1]?.textContent || '';
+    }
+    
+    function generalError() {
+        return dom.window.document.querySelector('.general-error')?.textContent.trim() || '';
+    }
+    
+    afterEach(() => dom?.window.close());
+    
+    it('posts the signup to Google Forms and thanks the visitor', async () => {
+        await setup(async () => ({ ok: false, status: 0, type: 'opaque' }));
+        fillForm(dom.window);
+        submit();
+        
+        await waitFor(() => overlayTitle());
+        
+        assert.equal(overlayTitle(), 'Welcome to the Waitlist!');
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].url, handler.GOOGLE_FORM_URL);
+        assert.equal(requests[0].options.method, 'POST');
+        assert.equal(requests[0].options.mode, 'no-cors');
+        assert.equal(requests[0].options.body.get(handler.GOOGLE_FORM_ENTRIES.email), 'jo@example.com');
+        
+        // Backup copy kept, email remembered, form cleared for the next visitor
+        assert.equal(stored('mylocalbarista_waitlist').length, 1);
+        assert.ok(stored('mylocalbarista_signups')['jo@example.com']);
+        assert.equal(dom.window.document.getElementById('name').value, '');
+        assert.equal(handler.isSubmitting, false);
+    });
+    
+    it('does not submit an invalid form', async () => {
+        await setup(async () => ({ ok: true, status: 200 }));
+        fillForm(dom.window, { name: 'J' });
+        submit();
+        
+        await waitFor(() => generalError());
+        
+        assert.equal(generalError(), 'Please fix the errors above and try again');
+        assert.equal(errorText(dom.window.document.getElementById('name')), 'Name must be at least 2 characters long');
+        assert.equal(requests.length, 0);
+        assert.equal(stored('mylocalbarista_waitlist'), null);
+    });
+    
+    it('shows an error and keeps the answers when the backend rejects the signup', async () => {
+        await setup(
+            async () => ({ ok: false, status: 400, text: async () => '{"error":"Bad request"}' }),
+            { submission: { adapter: 'json', url: 'https://api.example.com/waitlist' } }
+        );
+        fillForm(dom.window);
+        submit();
+        
+        await waitFor(() => generalError());
+        
+        assert.match(generalError(), /error submitting your information/);
+        assert.equal(JSON.parse(requests[0].options.body).email, 'jo@example.com');
+        assert.equal(dom.window.document.getElementById('name').value, 'Jo Barista');
+        assert.equal(stored('mylocalbarista_waitlist'), null);
+        assert.equal(stored('mylocalbarista_outbox'), null);
+        assert.equal(overlayTitle(), '');
+        assert.equal(handler.isSubmitting, false);
+    });
+    
+    it('queues the signup in the outbox when the network fails', async () => {
+        await setup(async () => {
+            throw new TypeError('Failed to fetch');
+        });
+        fillForm(dom.window);
+        submit();
+        
+        await waitFor(() => overlayTitle());
+        
+        assert.equal(overlayTitle(), 'Saved - We\'ll Send It Soon');
+        assert.equal(stored('mylocalbarista_outbox').length, 1);
+        assert.equal(stored('mylocalbarista_outbox')[0].formData.email, 'jo@example.com');
+        assert.equal(stored('mylocalbarista_waitlist'), null);
+        assert.equal(dom.window.document.getElementById('name').value, '');
+    });
+    
+    it('stores a queued signup once when the local-only adapter delivers it later', async () => {
+        await setup(async () => ({ ok: true, status: 200 }), { submission: { adapter: 'local' } });
+        fillForm(dom.window);
+        handler.outbox.enqueue(handler.collectFormData());
+        
+        await handler.outbox.flush({ force: true });
+        
+        assert.equal(stored('mylocalbarista_outbox'), null);
+        assert.equal(stored('mylocalbarista_waitlist').length, 1);
+        assert.ok(stored('mylocalbarista_signups')['jo@example.com']);
+    });
+    
+    it('asks before sending a second signup with the same email', async () => {
+        await setup(async () => ({ ok: false, status: 0, type: 'opaque' }));
+        fillForm(dom.window);
+        submit();
+        await waitFor(() => overlayTitle());
+        
+        fillForm(dom.window, { email: 'JO@example.com' });
+        submit();
+        
+        const notice = await waitFor(() => dom.window.document.querySelector('.duplicate-notice'));
+        assert.match(notice.textContent, /already on the list as JO@example\.com/);
+        assert.equal(requests.length, 1);
+        
+        // "Update my details" sends it anyway, marked as an update
+        notice.querySelector('.btn-primary').click();
+        await waitFor(() => requests.length === 2 && overlayTitle() === 'Details Updated!');
+        
+        assert.match(requests[1].options.body.get(handler.GOOGLE_FORM_ENTRIES.comments), /^\[UPDATE of .+ signup\]$/);
+        assert.equal(stored('mylocalbarista_signups')['jo@example.com'].updates, 1);
+    });
+    
+    it('books a training session for an email that is already on the list', async () => {
+        await setup(async () => ({ ok: false, status: 0, type: 'opaque' }));
+        fillForm(dom.window);
+        submit();
+        await waitFor(() => overlayTitle());
+        
+        let booked = false;
+        handler.setTrainingBooking(
+            { className: 'Latte Art Basics', label: 'Sat, Nov 7, 10:00 AM', start: '2026-11-07T10:00', slotId: 'latte-art-20261107-1000' },
+            { onBooked: () => { booked = true; } }
+        );
+        fillForm(dom.window, { interest: 'training' });
+        dom.window.document.getElementById('skill-level').value = 'home';
+        submit();
+        
+        await waitFor(() => overlayTitle() === 'Session Requested!');
+        
+        const comments = requests[1].options.body.get(handler.GOOGLE_FORM_ENTRIES.comments);
+        assert.equal(dom.window.document.querySelector('.duplicate-notice'), null);
+        assert.match(comments, /^\[TRAINING: Latte Art Basics, Sat, Nov 7, 10:00 AM\]/);
+        assert.doesNotMatch(comments, /UPDATE/);
+        assert.equal(stored('mylocalbarista_waitlist')[1].submission_type, 'training-booking');
+        assert.equal(stored('mylocalbarista_signups')['jo@example.com'].updates, 0);
+        assert.ok(booked);
+    });
+    
+    it('sends a service request for an email that is already on the list', async () => {
+        await setup(async () => ({ ok: false, status: 0, type: 'opaque' }));
+        fillForm(dom.window);
+        submit();
+        await waitFor(() => overlayTitle());
+        
+        fillForm(dom.window, { interest: 'machine-help' });
+        handler.setServiceRequest({
+            machineType: 'Semi-automatic',
+            symptom: 'No steam',
+            diagnosis: 'Steam boiler fault',
+            issue: 'not-heating',
+            answers: [{ question: 'Does the machine heat up?', answer: 'Yes' }]
+        });
+        dom.window.document.getElementById('machine-issue').value = 'not-heating';
+        submit();
+        
+        await waitFor(() => overlayTitle() === 'Technician Visit Requested!');
+        
+        const comments = requests[1].options.body.get(handler.GOOGLE_FORM_ENTRIES.comments);
+        assert.equal(dom.window.document.querySelector('.duplicate-notice'), null);
+        assert.match(comments, /^\[SERVICE REQUEST: Semi-automatic, No steam - Steam boiler fault/);
+        assert.doesNotMatch(comments, /UPDATE/);
+        assert.equal(stored('mylocalbarista_waitlist')[1].submission_type, 'service-request');
+        assert.equal(handler.serviceRequest, null);
+    });
+});
+
+/* ===========================================
+   WIZARD
+   =========================================== */
+
+describe('WaitlistFormHandler wizard', () => {
+    let dom;
+    let wizard;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        wizard = dom.window.waitlistFormHandler.wizard;
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    // What pressing Enter in a field does
+    function pressEnter() {
+        dom.window.document.getElementById('waitlist-form').requestSubmit();
+    }
+    
+    it('runs by default', () => {
+        assert.ok(wizard.isActive);
+        assert.equal(wizard.currentStep, 0);
+    });
+    
+    it('moves to the next step on Enter once the step is valid', async () => {
+        const { document } = dom.window;
+        document.getElementById('name').value = 'Jo Barista';
+        document.getElementById('email').value = 'jo@example.com';
+        document.getElementById('zip').value = '98101';
+        
+        pressEnter();
+        
+        await waitFor(() => wizard.currentStep === 1);
+        assert.equal(document.querySelector('.form-step[data-step="interests"]').hidden, false);
+    });
+    
+    it('stays on a step with errors', async () => {
+        dom.window.document.getElementById('name').value = 'J';
+        
+        pressEnter();
+        
+        await waitFor(() => errorText(dom.window.document.getElementById('name')));
+        assert.equal(wizard.currentStep, 0);
+    });
+    
+    it('sends the signup from the last step', async () => {
+        const { document } = dom.window;
+        const requests = [];
+        dom.window.fetch = async (url, options = {}) => {
+            requests.push({ url: String(url), options });
+            return { ok: false, status: 0, type: 'opaque' };
+        };
+        fillForm(dom.window, { comments: 'Oat milk please' });
+        
+        // Next on the first steps, Enter on the one before last
+        document.getElementById('form-step-next').click();
+        document.getElementById('form-step-next').click();
+        pressEnter();
+        await waitFor(() => wizard.isLastStep());
+        assert.equal(requests.length, 0);
+        
+        pressEnter();
+        
+        await waitFor(() => document.querySelector('.success-overlay h3'));
+        const { GOOGLE_FORM_ENTRIES } = dom.window.waitlistFormHandler;
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].options.body.get(GOOGLE_FORM_ENTRIES.email), 'jo@example.com');
+        assert.equal(requests[0].options.body.get(GOOGLE_FORM_ENTRIES.comments), 'Oat milk please');
+        assert.equal(wizard.currentStep, 0);
+    });
+});
@@ -0,0 +1,125 @@
+/*
+===========================================
+TEST PAGE LOADER
+===========================================
+
+Loads index.html into jsdom with the site's own scripts and stylesheets,
+the way a browser would, so the tests exercise the real page:
+- Files are served from the repository under http://localhost/;
+  external resources (Font Awesome, Google Fonts) are skipped
+- Browser APIs jsdom lacks (matchMedia, IntersectionObserver,
+  scrollTo, scrollIntoView) are stubbed
+- fetch serves the repository's data/*.json files; tests replace
+  window.fetch to stub a submission backend
+
+loadPage() resolves once the load event has fired, i.e. after every
+DOMContentLoaded handler has created its window.* instance. Close the
+window (dom.window.close()) when done so its timers stop.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'http://localhost/';
+
+function resolveLocalFile(url) {
+    if (!url.startsWith(ORIGIN)) return null;
+    return path.join(ROOT, decodeURIComponent(new URL(url).pathname));
+}
+
+// Serves the site's files; anything else (CDNs, fonts) is not loaded
+class LocalResourceLoader extends ResourceLoader {
+    fetch(url) {
+        const file = resolveLocalFile(url);
+        if (!file) return null;
+        
+        // A missing file rejects, which fires the element's error event
+        return fs.promises.readFile(file);
+    }
+}
+
+function createFetchStub() {
+    return async (input) => {
+        const file = resolveLocalFile(new URL(String(input), ORIGIN).href);
+        
+        if (!file || !fs.existsSync(file)) {
+            return { ok: false, status: 404, json: async () => null, text: async () => '' };
+        }
+        
+        const text = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+    };
+}
+
+function stubBrowserAPIs(window) {
+    window.fetch = createFetchStub();
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = () => {};
+    
+    window.matchMedia = (query) => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    });
+    
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+}
+
+/**
+ * Loads a page of the site into a fresh jsdom window.
+ * @param {Object} [options]
+ * @param {string} [options.page='index.html'] - Page to load
+ * @param {Function} [options.beforeParse] - Called with the window before
+ *   any script runs, e.g. to set window.MYLOCALBARISTA_* config
+ * @param {boolean} [options.logs=false] - Forward the page's console output
+ * @returns {Promise<JSDOM>}
+ */
+async function loadPage({ page = 'index.html', beforeParse, logs = false } = {}) {
+    const virtualConsole = new VirtualConsole();
+    if (logs) virtualConsole.sendTo(console);
+    
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, page), 'utf8'), {
+        url: ORIGIN + page,
+        runScripts: 'dangerously',
+        resources: new LocalResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            stubBrowserAPIs(window);
+            if (beforeParse) beforeParse(window);
+        }
+    });
+    
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    return dom;
+}
+
+/**
+ * Resolves once check() returns a truthy value, e.g. after a stylesheet
+ * has loaded or a submission has finished.
+ * @param {Function} check
+ * @param {number} [timeout=2000] - ms before the wait fails
+ * @returns {Promise<*>} Whatever check() returned
+ */
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    
+    while (Date.now() - start < timeout) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    
+    throw new Error(`Timed out after ${timeout}ms waiting for: ${check}`);
+}
+
+module.exports = { loadPage, waitFor, ROOT };
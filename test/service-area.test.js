@@ -0,0 +1,43 @@
+/*
+===========================================
+SERVICE AREA TESTS
+===========================================
+
+Loads ServiceArea (js/service-area.js) and the ZIP dataset
+(js/zip-coordinates.js) with require() - no page, no window - and checks
+how ZIP codes are classified.
+
+Run with: npm test
+*/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ServiceArea = require('../js/service-area');
+const ZIP_COORDINATES = require('../js/zip-coordinates');
+
+describe('ServiceArea.classify', () => {
+    const serviceArea = new ServiceArea({ coordinates: ZIP_COORDINATES });
+    
+    it('loads the ZIP dataset outside the browser', () => {
+        assert.deepEqual(ZIP_COORDINATES['98101'], [47.6105, -122.3348]);
+    });
+    
+    it('places a ZIP code next to a center in the area', () => {
+        const result = serviceArea.classify('98101');
+        
+        assert.equal(result.status, 'in');
+        assert.equal(result.center.id, 'seattle');
+    });
+    
+    it('accepts ZIP+4 codes', () => {
+        assert.equal(serviceArea.classify('98101-1234').status, 'in');
+    });
+    
+    it('reports a valid ZIP code missing from the dataset as unknown', () => {
+        assert.deepEqual({ ...serviceArea.classify('78759') }, { status: 'unknown', center: null, distanceMiles: null });
+    });
+    
+    it('reports postal codes outside the US as outside', () => {
+        assert.equal(serviceArea.classify('K1A 0B1', 'CA').status, 'outside');
+    });
+});
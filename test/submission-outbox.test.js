@@ -0,0 +1,86 @@
+/*
+===========================================
+SUBMISSION OUTBOX TESTS
+===========================================
+
+Runs SubmissionOutbox (js/submission-outbox.js) in the jsdom page with a
+fake adapter: queued signups are sent, failures back off, and an adapter
+that throws only costs the entry it was sending.
+
+Run with: npm test
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+describe('SubmissionOutbox.flush', () => {
+    let dom;
+    let SubmissionOutbox;
+    
+    beforeEach(async () => {
+        dom = await loadPage();
+        SubmissionOutbox = dom.window.eval('SubmissionOutbox');
+    });
+    
+    afterEach(() => dom.window.close());
+    
+    // Copied out of the page's realm so deepEqual compares plain objects
+    async function flushAll(outbox) {
+        return { ...await outbox.flush({ force: true }) };
+    }
+    
+    // Outbox with its own storage key, so the page's outbox is not involved
+    function createOutbox(submit) {
+        const outbox = new SubmissionOutbox({ submit }, { storageKey: 'test_outbox' });
+        ['a@example.com', 'b@example.com', 'c@example.com'].forEach(email => outbox.enqueue({ email }));
+        return outbox;
+    }
+    
+    it('sends every queued signup and empties the outbox', async () => {
+        const sent = [];
+        const outbox = createOutbox(async (formData) => {
+            sent.push(formData.email);
+            return { success: true };
+        });
+        
+        assert.deepEqual(await flushAll(outbox), { sent: 3, failed: 0 });
+        assert.deepEqual(sent, ['a@example.com', 'b@example.com', 'c@example.com']);
+        assert.equal(outbox.size(), 0);
+    });
+    
+    it('keeps failed signups and backs off', async () => {
+        const outbox = createOutbox(async () => ({ success: false, error: new Error('Endpoint responded with 503') }));
+        
+        assert.deepEqual(await flushAll(outbox), { sent: 0, failed: 3 });
+        outbox.getAll().forEach(entry => {
+            assert.equal(entry.attempts, 2);
+            assert.equal(entry.lastError, 'Endpoint responded with 503');
+            assert.equal(outbox.isDue(entry), false);
+        });
+    });
+    
+    it('carries on after an adapter throws', async () => {
+        const outbox = createOutbox(async (formData) => {
+            if (formData.email === 'a@example.com') throw new Error('Custom adapter bug');
+            return { success: true };
+        });
+        
+        assert.deepEqual(await flushAll(outbox), { sent: 2, failed: 1 });
+        
+        const [remaining] = outbox.getAll();
+        assert.equal(outbox.size(), 1);
+        assert.equal(remaining.formData.email, 'a@example.com');
+        assert.equal(remaining.lastError, 'Custom adapter bug');
+        assert.equal(outbox.isFlushing, false);
+    });
+    
+    it('treats an adapter that throws synchronously the same way', async () => {
+        const outbox = createOutbox(() => {
+            throw new Error('Adapters must implement submit()');
+        });
+        
+        assert.deepEqual(await flushAll(outbox), { sent: 0, failed: 3 });
+        assert.equal(outbox.size(), 3);
+    });
+});
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/*
+===========================================
+MOCK FORM SERVER
+===========================================
+
+A local stand-in for the Google Form behind the waitlist, for testing
+the submission pipeline end to end - offline, and with real responses
+instead of the opaque no-cors ones Google Forms gives the browser.
+
+HOW IT WORKS:
+- Accepts the same form post the google-forms adapter sends: entry.*
+  fields as multipart/form-data (FormData) or urlencoded, on any path
+  ending in /formResponse
+- Validates the entry.* fields against a form schema (required fields,
+  email format, choice options, length, pattern); unknown entry IDs are
+  rejected, just like a typo'd ID never reaches the real form
+- Records every accepted submission as one JSON line in the output file
+- Can be told to fail or be slow, so the outbox and error states can
+  be tested too
+
+USAGE (Node 18+, no dependencies):
+    node tools/mock-form-server.js [options]
+    
+    --port <n>          Port to listen on (default 8787)
+    --host <host>       Interface to bind (default 127.0.0.1)
+    --schema <file>     Form schema (default tools/mock-form-schema.json)
+    --out <file>        Where submissions are recorded
+                        (default mock-form-submissions.jsonl)
+    --fail <status>     Fail every submission with this HTTP status
+    --fail-rate <0-1>   Fail this share of submissions (with --fail or 500)
+    --delay <ms>        Wait this long before answering
+
+Then point the site at it before the scripts load:
+
+    window.MYLOCALBARISTA_SUBMISSION = {
+        adapter: 'google-forms',
+        url: 'http://localhost:8787/formResponse',
+        mode: 'cors'
+    };
+
+PER-REQUEST AND RUNTIME CONTROL:
+- POST /formResponse?fail=503&delay=2000  overrides for one request
+  (fail only takes a status of 400 or more)
+- GET  /__control                         current fail / delay settings
+- POST /__control  { fail, failRate, delay }  changes them (JSON body)
+- GET  /__submissions                     everything recorded so far
+- DELETE /__submissions                   empties the output file
+
+SCHEMA SHAPE:
+{
+    "allowUnknownEntries": false,
+    "fields": [
+        { "entry": "entry.123", "name": "email", "type": "text" | "paragraph" | "email" | "choice",
+          "required": true, "options": [...], "maxLength": 200, "pattern": "^\\d{5}$" }
+    ]
+}
+The entry IDs must match GOOGLE_FORM_ENTRIES in js/form-handler.js.
+*/
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, 'mock-form-schema.json');
+const DEFAULT_OUT_PATH = 'mock-form-submissions.jsonl';
+
+/* ===========================================
+   SCHEMA
+   =========================================== */
+
+function loadSchema(schemaPath = DEFAULT_SCHEMA_PATH) {
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    
+    if (!Array.isArray(schema.fields)) {
+        throw new Error(`${schemaPath} needs a "fields" array`);
+    }
+    
+    return schema;
+}
+
+/* ===========================================
+   REQUEST BODY PARSING
+   =========================================== */
+
+function readRequestBody(req, limit = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Text fields of a multipart/form-data body (FormData from the browser)
+function parseMultipart(body, boundary) {
+    const fields = {};
+    const parts = body.toString('utf8').split(`--${boundary}`);
+    
+    parts.forEach(part => {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) return;
+        
+        const headers = part.slice(0, headerEnd);
+        const name = /name="([^"]*)"/i.exec(headers)?.[1];
+        if (!name) return;
+        
+        // Each part ends with the CRLF that precedes the next boundary
+        fields[name] = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    });
+    
+    return fields;
+}
+
+// { field: value } from a urlencoded or multipart body
+function parseFormBody(body, contentType = '') {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    
+    if (/multipart\/form-data/i.test(contentType) && boundary) {
+        return parseMultipart(body, boundary[1] || boundary[2]);
+    }
+    
+    if (/application\/json/i.test(contentType)) {
+        const data = JSON.parse(body.toString('utf8') || '{}');
+        return data && typeof data === 'object' ? data : {};
+    }
+    
+    return Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+}
+
+/* ===========================================
+   VALIDATION
+   =========================================== */
+
+// Returns [{ entry, field, message }] - empty when the submission is valid
+function validateSubmission(fields, schema) {
+    const errors = [];
+    const byEntry = new Map(schema.fields.map(field => [field.entry, field]));
+    
+    // Only entry.* keys are answers; Google adds its own bookkeeping fields
+    Object.keys(fields).filter(key => key.startsWith('entry.')).forEach(key => {
+        if (!byEntry.has(key) && !schema.allowUnknownEntries) {
+            errors.push({ entry: key, field: null, message: 'Unknown entry ID' });
+        }
+    });
+    
+    schema.fields.forEach(field => {
+        const value = String(fields[field.entry] ?? '').trim();
+        const error = (message) => errors.push({ entry: field.entry, field: field.name || null, message });
+        
+        if (!value) {
+            if (field.required) error('This question is required');
+            return;
+        }
+        
+        if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+            error('Not a valid email address');
+        }
+        if (field.type === 'choice' && Array.isArray(field.options) && !field.options.includes(value)) {
+            error(`"${value}" is not one of the options`);
+        }
+        if (field.maxLength && value.length > field.maxLength) {
+            error(`Longer than ${field.maxLength} characters`);
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(value)) {
+            error('Does not match the expected format');
+        }
+    });
+    
+    return errors;
+}
+
+/* ===========================================
+   SUBMISSION LOG
+   =========================================== */
+
+function recordSubmission(outPath, record) {
+    fs.appendFileSync(outPath, JSON.stringify(record) + '\n');
+}
+
+function readSubmissions(outPath) {
+    if (!fs.existsSync(outPath)) return [];
+    
+    return fs.readFileSync(outPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+/* ===========================================
+   SERVER
+   =========================================== */
+
+function createServer(options = {}) {
+    const schema = options.schema || loadSchema(options.schemaPath);
+    const outPath = options.outPath || DEFAULT_OUT_PATH;
+    const log = options.quiet ? () => {} : (...args) => console.log(...args);
+    
+    // Runtime settings - changed with POST /__control
+    const state = {
+        fail: options.fail ? Number(options.fail) : null,
+        failRate: options.failRate ? Number(options.failRate) : 0,
+        delay: options.delay ? Number(options.delay) : 0
+    };
+    
+    let counter = 0;
+    
+    const send = (res, status, data) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end(JSON.stringify(data));
+    };
+    
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    
+    async function handleFormResponse(req, res, query) {
+        const body = await readRequestBody(req);
+        
+        const delay = query.has('delay') ? Number(query.get('delay')) : state.delay;
+        if (delay > 0) await wait(delay);
+        
+        // ?fail=<status> only forces a failure for error statuses; anything else keeps the server setting
+        const queryStatus = Number(query.get('fail'));
+        const forcedStatus = queryStatus >= 400 ? queryStatus : state.fail;
+        const randomFail = state.failRate > 0 && Math.random() < state.failRate;
+        
+        if (forcedStatus || randomFail) {
+            const status = forcedStatus || 500;
+            log(`💥 Failing submission with ${status} (as configured)`);
+            return send(res, status, { ok: false, error: 'Simulated failure' });
+        }
+        
+        const fields = parseFormBody(body, req.headers['content-type']);
+        const errors = validateSubmission(fields, schema);
+        
+        if (errors.length > 0) {
+            log('❌ Rejected submission:', errors.map(e => `${e.field || e.entry}: ${e.message}`).join('; '));
+            return send(res, 400, { ok: false, errors });
+        }
+        
+        // Keep the answers under their entry IDs and, for readability, their field names
+        const entries = {};
+        const named = {};
+        schema.fields.forEach(field => {
+            if (fields[field.entry] === undefined) return;
+            entries[field.entry] = fields[field.entry];
+            if (field.name) named[field.name] = fields[field.entry];
+        });
+        
+        counter += 1;
+        const record = {
+            id: `mock-${Date.now().toString(36)}-${counter}`,
+            receivedAt: new Date().toISOString(),
+            path: req.url,
+            entries,
+            fields: named
+        };
+        
+        recordSubmission(outPath, record);
+        log(`✅ Recorded submission ${record.id} (${named.email || 'no email'})`);
+        
+        return send(res, 200, { ok: true, id: record.id });
+    }
+    
+    async function handleControl(req, res) {
+        if (req.method === 'POST') {
+            const update = parseFormBody(await readRequestBody(req), 'application/json');
+            if ('fail' in update) state.fail = update.fail ? Number(update.fail) : null;
+            if ('failRate' in update) state.failRate = Number(update.failRate) || 0;
+            if ('delay' in update) state.delay = Number(update.delay) || 0;
+            log('🎛️ Settings changed:', state);
+        }
+        
+        return send(res, 200, { ...state });
+    }
+    
+    function handleSubmissions(req, res) {
+        if (req.method === 'DELETE') {
+            fs.writeFileSync(outPath, '');
+            log('🗑️ Cleared recorded submissions');
+            return send(res, 200, { ok: true });
+        }
+        
+        return send(res, 200, readSubmissions(outPath));
+    }
+    
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        try {
+            if (req.method === 'OPTIONS') return send(res, 204, {});
+            
+            if (url.pathname.endsWith('/formResponse') && req.method === 'POST') {
+                return await handleFormResponse(req, res, url.searchParams);
+            }
+            if (url.pathname === '/__control' && ['GET', 'POST'].includes(req.method)) {
+                return await handleControl(req, res);
+            }
+            if (url.pathname === '/__submissions' && ['GET', 'DELETE'].includes(req.method)) {
+                return handleSubmissions(req, res);
+            }
+            
+            return send(res, 404, { ok: false, error: `No route for ${req.method} ${url.pathname}` });
+        } catch (error) {
+            log('❌ Request failed:', error.message);
+            return send(res, error.status || 400, { ok: false, error: error.message });
+        }
+    });
+    
+    server.state = state;
+    server.outPath = outPath;
+    return server;
+}
+
+/* ===========================================
+   COMMAND LINE
+   =========================================== */
+
+// --key value and --key=value, camelCased (--fail-rate -> failRate)
+function parseArgs(argv) {
+    const args = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) continue;
+        
+        const key = match[1].replace(/-(\w)/g, (_, char) => char.toUpperCase());
+        const hasValue = match[2] === undefined && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--');
+        args[key] = match[2] ?? (hasValue ? argv[++i] : true);
+    }
+    
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const port = Number(args.port || 8787);
+    const host = args.host || '127.0.0.1';
+    
+    const server = createServer({
+        schemaPath: args.schema ? path.resolve(args.schema) : DEFAULT_SCHEMA_PATH,
+        outPath: path.resolve(args.out || DEFAULT_OUT_PATH),
+        fail: args.fail,
+        failRate: args.failRate,
+        delay: args.delay
+    });
+    
+    server.listen(port, host, () => {
+        console.log(`☕ Mock form server on http://${host === '127.0.0.1' ? 'localhost' : host}:${port}/formResponse`);
+        console.log(`📝 Recording submissions to ${server.outPath}`);
+        if (server.state.fail || server.state.failRate || server.state.delay) {
+            console.log('🎛️ Settings:', server.state);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE
+   =========================================== */
+
+module.exports = {
+    createServer,
+    loadSchema,
+    parseFormBody,
+    validateSubmission,
+    readSubmissions,
+    DEFAULT_SCHEMA_PATH
+};
@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+/*
+===========================================
+VISUAL REGRESSION SCREENSHOTS
+===========================================
+
+Screenshots the landing page for every theme x preset combination at a
+few roundedness values and viewport widths, and compares them with the
+committed baselines - so a change to one theme stylesheet that breaks
+another theme's layout shows up before it ships.
+
+HOW IT WORKS:
+- Serves the repository on a local port and opens index.html in
+  headless Chromium (Playwright); requests to other hosts (CDN icons,
+  Google Fonts) are blocked so the screenshots don't depend on the network
+- Themes come from the #theme-selector options and presets from the
+  built-ins known to applyPreset(), so new ones are picked up automatically
+- Each combination is set through the page's own CustomizationController
+  (switchTheme, applyPreset, setColors) and captured as a full-page PNG
+- Screenshots are compared pixel by pixel (pixelmatch) with
+  test/visual/baselines/; changed ones get a diff image and a line in
+  the report
+
+USAGE (needs the dev dependencies: npm install && npx playwright install chromium):
+    npm run test:visual                     compare with the baselines
+    npm run test:visual -- --update         accept the current look as the baselines
+    
+    --themes <a,b>          Only these themes (default: every theme in the selector)
+    --presets <a,b>         Only these presets (default: every built-in preset)
+    --roundedness <0,8,30>  Roundedness values in px
+    --widths <375,768,1280> Viewport widths in px
+    --threshold <0-1>       Per-pixel color tolerance (default 0.1)
+    --max-diff-pixels <n>   Changed pixels allowed per screenshot (default 0)
+    --baselines <dir>       Baseline directory (default test/visual/baselines)
+    --out <dir>             Screenshots, diffs and report (default test/visual/output)
+
+OUTPUT:
+<out>/report.html lists every screenshot that changed, with the baseline,
+the new screenshot and the diff side by side; <out>/report.json has the
+same results for CI. Exits with 1 when anything changed or a baseline is
+missing, so it can gate a pull request.
+
+Screenshots differ slightly between operating systems (font rendering),
+so the committed baselines are created and compared in CI only, in the
+Playwright image (see .github/workflows/visual-regression.yml).
+*/
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_BASELINE_DIR = path.join(ROOT, 'test', 'visual', 'baselines');
+const DEFAULT_OUT_DIR = path.join(ROOT, 'test', 'visual', 'output');
+
+const DEFAULTS = {
+    roundedness: [0, 8, 30],      // slider minimum, page default, maximum
+    widths: [375, 768, 1280],     // phone, tablet, desktop
+    viewportHeight: 900,
+    threshold: 0.1,
+    maxDiffPixels: 0
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/* ===========================================
+   STATIC SERVER
+   =========================================== */
+
+// Serves the site's files read-only; resolves with { server, url }
+function startStaticServer(root = ROOT) {
+    const server = http.createServer((req, res) => {
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const file = path.join(root, pathname === '/' ? 'index.html' : pathname);
+        
+        // Nothing outside the repository
+        if (!file.startsWith(root + path.sep)) {
+            res.writeHead(403).end();
+            return;
+        }
+        
+        fs.readFile(file, (error, content) => {
+            if (error) {
+                res.writeHead(404).end();
+                return;
+            }
+            
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+            res.end(content);
+        });
+    });
+    
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}/` });
+        });
+    });
+}
+
+/* ===========================================
+   PAGE SETUP
+   =========================================== */
+
+// Freezes everything that would make two screenshots of the same state differ
+const STABILIZE_CSS = `
+    *, *::before, *::after {
+        transition: none !important;
+        animation: none !important;
+        caret-color: transparent !important;
+    }
+`;
+
+async function openPage(browser, baseUrl, width) {
+    const context = await browser.newContext({
+        viewport: { width, height: DEFAULTS.viewportHeight },
+        deviceScaleFactor: 1,
+        colorScheme: 'light',
+        reducedMotion: 'reduce'
+    });
+    
+    // Only the local server - external fonts and icons vary between runs
+    await context.route('**/*', (route) => {
+        return route.request().url().startsWith(baseUrl) ? route.continue() : route.abort();
+    });
+    
+    const page = await context.newPage();
+    await page.goto(`${baseUrl}index.html`, { waitUntil: 'load' });
+    await page.waitForFunction(() => Boolean(window.customizationController));
+    await page.addStyleTag({ content: STABILIZE_CSS });
+    
+    return { context, page };
+}
+
+// Themes from the selector and presets from the registry, read from the page itself
+function discoverCombinations(page) {
+    return page.evaluate(() => ({
+        themes: Array.from(document.querySelectorAll('#theme-selector option')).map(option => option.value),
+        presets: window.customizationController.presets.getBuiltIns().map(preset => preset.id)
+    }));
+}
+
+async function applyTheme(page, theme) {
+    await page.evaluate((value) => {
+        window.customizationController.switchTheme(value);
+        document.getElementById('theme-selector').value = value;
+    }, theme);
+    
+    await page.waitForFunction((value) => window.customizationController.currentTheme === value, theme, { timeout: 10000 });
+}
+
+async function applyCombination(page, { preset, roundedness }) {
+    await page.evaluate(({ presetId, radius }) => {
+        const controller = window.customizationController;
+        controller.applyPreset(presetId);
+        controller.setColors({ roundedness: radius });
+        
+        // Show the scroll-in sections and drop the theme fade
+        document.querySelectorAll('.service-card, .benefit-item, .section-header')
+            .forEach(element => element.classList.add('animate-in'));
+        document.body.classList.remove('theme-transitioning');
+    }, { presetId: preset, radius: roundedness });
+    
+    // Let layout and web fonts settle before capturing
+    await page.evaluate(() => document.fonts.ready);
+    await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}
+
+/* ===========================================
+   COMPARISON
+   =========================================== */
+
+function getScreenshotName({ theme, preset, roundedness, width }) {
+    return `${theme}--${preset}--r${roundedness}--w${width}.png`;
+}
+
+// Copies a PNG onto a transparent canvas of the given size (for size changes)
+function padImage(PNG, image, width, height) {
+    if (image.width === width && image.height === height) return image;
+    
+    const padded = new PNG({ width, height });
+    PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+    return padded;
+}
+
+/**
+ * Compares a screenshot with its baseline.
+ * @returns {{ status: 'unchanged'|'changed'|'missing', changedPixels: number,
+ *   totalPixels: number, sizeChanged: boolean, diff: Buffer|null }}
+ */
+function compareScreenshots(actualBuffer, baselineBuffer, { threshold = DEFAULTS.threshold, maxDiffPixels = DEFAULTS.maxDiffPixels } = {}) {
+    const { PNG } = require('pngjs');
+    const pixelmatch = require('pixelmatch');
+    
+    const actual = PNG.sync.read(actualBuffer);
+    
+    if (!baselineBuffer) {
+        return { status: 'missing', changedPixels: 0, totalPixels: actual.width * actual.height, sizeChanged: false, diff: null };
+    }
+    
+    const baseline = PNG.sync.read(baselineBuffer);
+    const width = Math.max(actual.width, baseline.width);
+    const height = Math.max(actual.height, baseline.height);
+    const sizeChanged = actual.width !== baseline.width || actual.height !== baseline.height;
+    
+    const diff = new PNG({ width, height });
+    const changedPixels = pixelmatch(
+        padImage(PNG, baseline, width, height).data,
+        padImage(PNG, actual, width, height).data,
+        diff.data,
+        width,
+        height,
+        { threshold }
+    );
+    
+    const changed = sizeChanged || changedPixels > maxDiffPixels;
+    
+    return {
+        status: changed ? 'changed' : 'unchanged',
+        changedPixels,
+        totalPixels: width * height,
+        sizeChanged,
+        diff: changed ? PNG.sync.write(diff) : null
+    };
+}
+
+/* ===========================================
+   REPORT
+   =========================================== */
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+function formatPercent(result) {
+    return result.totalPixels ? `${(result.changedPixels / result.totalPixels * 100).toFixed(3)}%` : '0%';
+}
+
+function buildHTMLReport(results, outDir, baselineDir) {
+    const problems = results.filter(result => result.status === 'changed' || result.status === 'missing');
+    const relative = (file) => escapeHTML(path.relative(outDir, file).split(path.sep).join('/'));
+    
+    const rows = problems.map(result => `
+        <section>
+            <h2>${escapeHTML(result.name)} - ${result.status === 'missing' ? 'no baseline' : `${result.changedPixels} pixels changed (${formatPercent(result)})${result.sizeChanged ? ', page size changed' : ''}`}</h2>
+            <div class="images">
+                ${result.status === 'missing' ? '' : `<figure><figcaption>Baseline</figcaption><img src="${relative(path.join(baselineDir, result.name))}"></figure>`}
+                <figure><figcaption>Current</figcaption><img src="${relative(path.join(outDir, 'actual', result.name))}"></figure>
+                ${result.status === 'changed' ? `<figure><figcaption>Diff</figcaption><img src="${relative(path.join(outDir, 'diff', result.name))}"></figure>` : ''}
+            </div>
+        </section>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Visual Regression Report - MyLocalBarista</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+        h2 { font-size: 1rem; margin-top: 2rem; }
+        .images { display: flex; gap: 1rem; align-items: flex-start; overflow-x: auto; }
+        figure { margin: 0; flex: 0 0 auto; }
+        img { max-width: 420px; border: 1px solid #D1D5DB; }
+    </style>
+</head>
+<body>
+    <h1>Visual Regression Report</h1>
+    <p>${results.length} screenshots, ${results.filter(r => r.status === 'changed').length} changed, ${results.filter(r => r.status === 'missing').length} without a baseline.</p>
+    ${problems.length ? rows : '<p>No visual changes.</p>'}
+</body>
+</html>
+`;
+}
+
+function writeReport(results, outDir, baselineDir) {
+    const summary = {
+        total: results.length,
+        unchanged: results.filter(r => r.status === 'unchanged').length,
+        changed: results.filter(r => r.status === 'changed').length,
+        missing: results.filter(r => r.status === 'missing').length,
+        updated: results.filter(r => r.status === 'updated').length
+    };
+    
+    fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify({ summary, results }, null, 2));
+    fs.writeFileSync(path.join(outDir, 'report.html'), buildHTMLReport(results, outDir, baselineDir));
+    
+    return summary;
+}
+
+/* ===========================================
+   RUN
+   =========================================== */
+
+function pick(available, requested, label) {
+    if (!requested) return available;
+    
+    const unknown = requested.filter(value => !available.includes(value));
+    if (unknown.length) {
+        throw new Error(`Unknown ${label}: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+    }
+    
+    return requested;
+}
+
+async function run(options = {}) {
+    const baselineDir = options.baselineDir || DEFAULT_BASELINE_DIR;
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const roundednessValues = options.roundedness || DEFAULTS.roundedness;
+    const widths = options.widths || DEFAULTS.widths;
+    
+    const { chromium } = require('playwright');
+    
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(outDir, 'actual'), { recursive: true });
+    fs.mkdirSync(path.join(outDir, 'diff'), { recursive: true });
+    if (options.update) fs.mkdirSync(baselineDir, { recursive: true });
+    
+    const { server, url } = await startStaticServer(ROOT);
+    const results = [];
+    let browser = null;
+    
+    try {
+        browser = await chromium.launch();
+        
+        for (const width of widths) {
+            const { context, page } = await openPage(browser, url, width);
+            const available = await discoverCombinations(page);
+            const themes = pick(available.themes, options.themes, 'theme');
+            const presets = pick(available.presets, options.presets, 'preset');
+            
+            for (const theme of themes) {
+                await applyTheme(page, theme);
+                
+                for (const preset of presets) {
+                    for (const roundedness of roundednessValues) {
+                        const combination = { theme, preset, roundedness, width };
+                        const name = getScreenshotName(combination);
+                        
+                        await applyCombination(page, combination);
+                        const screenshot = await page.screenshot({ fullPage: true, animations: 'disabled', caret: 'hide' });
+                        fs.writeFileSync(path.join(outDir, 'actual', name), screenshot);
+                        
+                        const result = { name, ...combination };
+                        
+                        if (options.update) {
+                            fs.writeFileSync(path.join(baselineDir, name), screenshot);
+                            Object.assign(result, { status: 'updated', changedPixels: 0, totalPixels: 0, sizeChanged: false });
+                            console.log(`📸 ${name}`);
+                        } else {
+                            const baselinePath = path.join(baselineDir, name);
+                            const baseline = fs.existsSync(baselinePath) ? fs.readFileSync(baselinePath) : null;
+                            const { diff, ...comparison } = compareScreenshots(screenshot, baseline, options);
+                            
+                            if (diff) fs.writeFileSync(path.join(outDir, 'diff', name), diff);
+                            Object.assign(result, comparison);
+                            
+                            const icon = { unchanged: '✅', changed: '❌', missing: '🆕' }[comparison.status];
+                            const detail = comparison.status === 'changed'
+                                ? ` - ${comparison.changedPixels} pixels (${formatPercent(comparison)})${comparison.sizeChanged ? ', size changed' : ''}`
+                                : comparison.status === 'missing' ? ' - no baseline' : '';
+                            console.log(`${icon} ${name}${detail}`);
+                        }
+                        
+                        results.push(result);
+                    }
+                }
+            }
+            
+            await context.close();
+        }
+    } finally {
+        await browser?.close();
+        server.close();
+    }
+    
+    return { results, summary: writeReport(results, outDir, baselineDir), outDir };
+}
+
+/* ===========================================
+   COMMAND LINE
+   =========================================== */
+
+// --key value and --key=value, camelCased (--max-diff-pixels -> maxDiffPixels)
+function parseArgs(argv) {
+    const args = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) continue;
+        
+        const key = match[1].replace(/-(\w)/g, (_, char) => char.toUpperCase());
+        const hasValue = match[2] === undefined && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--');
+        args[key] = match[2] ?? (hasValue ? argv[++i] : true);
+    }
+    
+    return args;
+}
+
+function parseList(value, toNumber = false) {
+    if (!value || value === true) return undefined;
+    
+    const list = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return toNumber ? list.map(Number) : list;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    
+    const options = {
+        update: Boolean(args.update),
+        themes: parseList(args.themes),
+        presets: parseList(args.presets),
+        roundedness: parseList(args.roundedness, true),
+        widths: parseList(args.widths, true),
+        threshold: args.threshold !== undefined ? Number(args.threshold) : DEFAULTS.threshold,
+        maxDiffPixels: args.maxDiffPixels !== undefined ? Number(args.maxDiffPixels) : DEFAULTS.maxDiffPixels,
+        baselineDir: args.baselines ? path.resolve(args.baselines) : DEFAULT_BASELINE_DIR,
+        outDir: args.out ? path.resolve(args.out) : DEFAULT_OUT_DIR
+    };
+    
+    const { summary, outDir } = await run(options);
+    
+    if (options.update) {
+        console.log(`\n📸 ${summary.updated} baselines written to ${path.relative(process.cwd(), options.baselineDir)}`);
+        return;
+    }
+    
+    console.log(`\n📊 ${summary.total} screenshots: ${summary.unchanged} unchanged, ${summary.changed} changed, ${summary.missing} without a baseline`);
+    console.log(`📄 Report: ${path.relative(process.cwd(), path.join(outDir, 'report.html'))}`);
+    
+    if (summary.changed || summary.missing) {
+        if (summary.missing) console.log('💡 Run with --update to create the missing baselines');
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Visual regression run failed:', error.message);
+        if (/Executable doesn't exist|browserType\.launch/.test(error.message)) {
+            console.error('💡 Install the browser first: npx playwright install chromium');
+        }
+        process.exitCode = 1;
+    });
+}
+
+/* ===========================================
+   EXPORT FOR MODULE USAGE
+   =========================================== */
+
+module.exports = {
+    run,
+    startStaticServer,
+    compareScreenshots,
+    getScreenshotName,
+    buildHTMLReport,
+    DEFAULTS
+};